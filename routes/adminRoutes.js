@@ -0,0 +1,76 @@
+/**
+ * Admin Routes
+ *
+ * Express router for operational endpoints (storage usage, retention cleanup).
+ * Handles the /api/admin/* routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (auth, request/response, status codes)
+ * - Usage reporting and cleanup live in the retentionWorker service
+ * - When ADMIN_TOKEN is set every route requires "Authorization: Bearer <ADMIN_TOKEN>"
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const retentionWorker = require('../services/retentionWorker');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function tokenMatches(header) {
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    const actual = Buffer.from(header || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+router.use((req, res, next) => {
+    if (ADMIN_TOKEN && !tokenMatches(req.get('Authorization'))) {
+        return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+    next();
+});
+
+/**
+ * GET /api/admin/storage
+ *
+ * Reports artifact storage usage by automation type and age, job record
+ * counts and the retention policy.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "storage": "local",
+ *   "artifacts": {
+ *     "count": 42, "bytes": 8123456,
+ *     "pinned": { "count": 4, "bytes": 780000 },
+ *     "awaitingCleanup": { "count": 0, "bytes": 0 },
+ *     "byType": { "rom": { "count": 30, "bytes": 6000000, "pinned": 4, "retentionDays": 90 }, ... },
+ *     "byAge": [{ "label": "<1d", "count": 6, "bytes": 1200000 }, ...]
+ *   },
+ *   "jobs": { "total": 12, "pinned": 1, "byType": { "rom": 8, ... } },
+ *   "retention": { "policyDays": { "default": 30, "rom": 90, "coverage-plot": 30 }, "intervalMinutes": 60, "lastRun": { ... } }
+ * }
+ */
+router.get('/storage', async (req, res) => {
+    try {
+        const report = await retentionWorker.getStorageReport();
+        return res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Storage report failed:', error.message);
+        return res.status(500).json({ success: false, error: 'Artifact storage unavailable' });
+    }
+});
+
+/**
+ * POST /api/admin/cleanup
+ *
+ * Runs a retention cleanup pass now instead of waiting for the next interval.
+ *
+ * Response: { "success": true, "artifactsDeleted": 3, "bytesFreed": 612000, "jobsPruned": 1, "errors": [], ... }
+ */
+router.post('/cleanup', async (req, res) => {
+    const summary = await retentionWorker.runCleanup();
+    return res.json({ success: summary.errors.length === 0, ...summary });
+});
+
+module.exports = router;
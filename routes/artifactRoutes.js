@@ -0,0 +1,87 @@
+/**
+ * Artifact Routes
+ *
+ * Express router for downloading and pinning stored artifacts (screenshots, Excel files).
+ * Handles the /api/artifacts/* routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (headers, streaming, status codes)
+ * - Storage backends (local disk, S3/MinIO) live in the artifactStore service
+ */
+
+const express = require('express');
+const router = express.Router();
+const artifactStore = require('../services/artifactStore');
+
+/**
+ * GET /api/artifacts/:id
+ *
+ * Streams the artifact with its content type. Add ?download=1 to get an
+ * attachment Content-Disposition instead of inline.
+ */
+router.get('/:id', async (req, res) => {
+    let artifact;
+    try {
+        artifact = await artifactStore.getArtifact(req.params.id);
+    } catch (error) {
+        console.error(`Artifact ${req.params.id} could not be read:`, error.message);
+        return res.status(500).json({ success: false, error: 'Artifact storage unavailable' });
+    }
+
+    if (!artifact) {
+        return res.status(404).json({ success: false, error: 'Artifact not found' });
+    }
+
+    const { meta, stream } = artifact;
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', meta.contentType);
+    res.setHeader('Content-Length', meta.bytes);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${meta.filename.replace(/"/g, '')}"`);
+    res.setHeader('Cache-Control', 'private, max-age=86400, immutable');
+
+    stream.on('error', (error) => {
+        console.error(`Artifact ${meta.id} stream failed:`, error.message);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+});
+
+/**
+ * POST   /api/artifacts/:id/pin
+ * DELETE /api/artifacts/:id/pin
+ *
+ * Pins a single artifact so retention cleanup keeps it (use
+ * POST /api/jobs/:id/pin to pin a whole result). DELETE unpins it.
+ *
+ * Request Body (POST, optional): { "reason": "Won - Acme Stadium DAS" }
+ *
+ * Response: { "success": true, "artifactId": "...", "pinned": true, "pinnedAt": "...", "pinReason": "..." }
+ */
+async function pinArtifact(req, res, pinned) {
+    const reason = pinned && req.body && typeof req.body.reason === 'string' ? req.body.reason : null;
+
+    let meta;
+    try {
+        meta = await artifactStore.setPinned(req.params.id, pinned, reason);
+    } catch (error) {
+        console.error(`Pinning artifact ${req.params.id} failed:`, error.message);
+        return res.status(500).json({ success: false, error: 'Artifact storage unavailable' });
+    }
+
+    if (!meta) {
+        return res.status(404).json({ success: false, error: 'Artifact not found' });
+    }
+
+    return res.json({
+        success: true,
+        artifactId: meta.id,
+        pinned: meta.pinned,
+        pinnedAt: meta.pinnedAt,
+        pinReason: meta.pinReason
+    });
+}
+
+router.post('/:id/pin', (req, res) => pinArtifact(req, res, true));
+router.delete('/:id/pin', (req, res) => pinArtifact(req, res, false));
+
+module.exports = router;
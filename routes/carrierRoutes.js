@@ -0,0 +1,42 @@
+/**
+ * Carrier Routes
+ *
+ * Express router for the carrier catalog.
+ * Handles the /api/carriers route.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (request/response, status codes)
+ * - The catalog itself is loaded and validated by the carrierCatalog service
+ */
+
+const express = require('express');
+const router = express.Router();
+const carrierCatalog = require('../services/carrierCatalog');
+
+/**
+ * GET /api/carriers
+ *
+ * Lists the carriers automation requests accept, in display order, for the
+ * frontend's carrier checkboxes. `name` is the value to send in `carriers`;
+ * `label` is the provider as Ookla shows it.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "carriers": [
+ *     { "name": "AT&T", "label": "AT&T US" },
+ *     { "name": "Verizon", "label": "Verizon" },
+ *     ...
+ *   ]
+ * }
+ */
+router.get('/', (req, res) => {
+    try {
+        return res.json({ success: true, carriers: carrierCatalog.getCarriers() });
+    } catch (error) {
+        console.error('Carrier catalog unavailable:', error.message);
+        return res.status(500).json({ success: false, error: 'Carrier catalog unavailable' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+/**
+ * Coverage Plot Automation Routes
+ *
+ * Express router for Coverage Plot automation endpoints.
+ * Handles /api/automate, /api/automate/stream and /api/batch (mounted at /api).
+ *
+ * Separation of Concerns:
+ * - Routes are separate from business logic (services)
+ * - Routes handle HTTP concerns (request/response, status codes, SSE framing)
+ * - Business logic is delegated to coveragePlotAutomation service
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    executeCoveragePlot,
+    executeCoveragePlotBatch,
+    validateRequest,
+    validateBatchRequest
+} = require('../services/coveragePlotAutomation');
+const jobManager = require('../services/jobManager');
+const webhookDelivery = require('../services/webhookDelivery');
+const { pickCaptureOptions } = require('../services/captureOptions');
+const { pickLocation } = require('../services/venueLocation');
+
+/**
+ * POST /api/automate
+ *
+ * Executes Coverage Plot automation and responds once all screenshots are captured.
+ *
+ * Request Body:
+ * {
+ *   "address": "123 Main St, City, State",                     // or "lat"/"lng" (address then optional, used as label)
+ *   "carriers": ["AT&T", "Verizon", "T-Mobile"],
+ *   "coverageTypes": ["Indoor", "Outdoor", "Indoor & Outdoor"],
+ *   "technology": "both",                                     // optional, "LTE" (default), "5G NR" or "both"
+ *   "metrics": ["RSRP", "SNR"],                               // optional, default ["RSRP"]; one screenshot set per technology and metric
+ *   "perCarrier": true,                                       // optional, one screenshot set per carrier, tagged with "carrier"
+ *   "zoom": 17,                                               // optional, Leaflet zoom level (0-22) or "campus", "block", "building"
+ *   "baseLayer": "Satellite",                                 // optional, map layer by its Ookla label, default "Day"
+ *   "dateRange": { "start": "2025-01-01", "end": "2025-06-30" }, // optional, or a preset such as "last12months"
+ *   "callbackUrl": "https://crm.example.com/hooks/coverage"   // optional
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "screenshots": [
+ *     { "artifactId": "...", "filename": "ookla_INDOOR_...", "contentType": "image/png", "size": "150", "url": "/api/artifacts/...", "technology": "LTE", "metric": "RSRP" }
+ *   ],
+ *   "duration": 95.2,
+ *   "count": 1,
+ *   "dateRange": { "preset": null, "start": "2025-01-01", "end": "2025-06-30" },
+ *   "warnings": [],
+ *   "cache": { "hit": false, "capturedAt": "...", "expiresAt": "..." }
+ * }
+ *
+ * "warnings" lists problems that did not fail the run, such as a baseLayer
+ * Ookla does not offer (the map then keeps its current layer).
+ *
+ * "dateRange" is the data period set in Ookla's filter panel (null: Ookla's
+ * default window). Presets are "last30days", "last90days", "last6months" and
+ * "last12months", ending today (UTC). A range Ookla does not accept fails the run.
+ *
+ * Sites without a searchable address can send "lat" and "lng" instead; add
+ * "radius" (meters) or "bounds" { "north", "south", "east", "west" } to frame
+ * the map around the point. "address" is then an optional label.
+ *
+ * Set "legacyBase64": true to also get each PNG inline as "buffer" (base64).
+ *
+ * A capture of the same address, carriers and views within
+ * RESULT_CACHE_TTL_HOURS is returned from the result cache; the response then
+ * has "cache": { "hit": true, "capturedAt": "...", "expiresAt": "..." }.
+ * Send "forceRefresh": true to capture again.
+ *
+ * With callbackUrl the automation runs as a job instead: the response is
+ * 202 { "success": true, "jobId": "...", "statusUrl": "...", ... } and the
+ * result or error is POSTed to callbackUrl as a signed webhook.
+ */
+router.post('/automate', async (req, res) => {
+    const { address, carriers, coverageTypes, legacyBase64, forceRefresh, callbackUrl } = req.body;
+    const params = { address, carriers, coverageTypes, legacyBase64, forceRefresh, ...pickLocation(req.body), ...pickCaptureOptions(req.body) };
+
+    const validation = validateRequest(params);
+    if (callbackUrl !== undefined) {
+        validation.errors.push(...webhookDelivery.validateCallbackUrl(callbackUrl).errors);
+    }
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ success: false, error: validation.errors.join('; ') });
+    }
+
+    if (callbackUrl !== undefined) {
+        const job = jobManager.createJob('coverage-plot', params, {
+            onFinished: webhookDelivery.createJobCallback(callbackUrl)
+        });
+        console.log(`Coverage plot job ${job.id} queued - result will be sent to ${callbackUrl}`);
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            resultUrl: `/api/jobs/${job.id}/result`,
+            callbackUrl
+        });
+    }
+
+    try {
+        const response = await executeCoveragePlot(params);
+
+        console.log('Sending response to frontend...');
+        return res.json(response);
+    } catch (error) {
+        const status = error.code === 'LOGIN_FAILED' ? 401 : 500;
+        return res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/automate/stream
+ *
+ * SSE endpoint: runs Coverage Plot automation and streams progress events.
+ * Same request body as /api/automate. Response is text/event-stream.
+ *
+ * Queued event: data: {"progress": 0, "step": "Queued, position 2", "status": "queued"}
+ * Event format: data: {"progress": 22, "step": "Changing to day view...", "status": "in_progress"}
+ * Final events: data: {"progress": 100, "step": "Complete!", "status": "success"}
+ *               data: {"success": true, "screenshots": [...], "duration": 95.2, "count": 1, "final": true}
+ * Error event:  data: {"progress": 0, "step": "<error message>", "status": "error"}
+ *
+ * Closing the connection cancels the automation (queued or running).
+ */
+router.post('/automate/stream', async (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const write = (payload) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const sendProgress = (progress, step, data = {}) => {
+        write({ progress, step, status: data.status || 'in_progress' });
+    };
+
+    // Client went away before the final event: cancel the automation
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('Coverage plot stream client disconnected - cancelling automation');
+            controller.abort();
+        }
+    });
+
+    try {
+        const { address, carriers, coverageTypes, legacyBase64, forceRefresh } = req.body;
+        const params = { address, carriers, coverageTypes, legacyBase64, forceRefresh, ...pickLocation(req.body), ...pickCaptureOptions(req.body) };
+
+        const validation = validateRequest(params);
+        if (!validation.isValid) {
+            sendProgress(0, `Error: ${validation.errors.join('; ')}`, { status: 'error' });
+            res.end();
+            return;
+        }
+
+        const response = await executeCoveragePlot(
+            params,
+            sendProgress,
+            { signal: controller.signal }
+        );
+
+        sendProgress(100, 'Complete!', { status: 'success' });
+        write({ ...response, final: true });
+        res.end();
+    } catch (error) {
+        if (error.code !== 'CANCELLED') {
+            sendProgress(0, error.message, { status: 'error' });
+        }
+        res.end();
+    }
+});
+
+/**
+ * POST /api/batch
+ *
+ * SSE endpoint: runs Coverage Plot automation for many addresses on one
+ * browser session and streams per-item progress. A failed item does not
+ * stop the batch. Items without coverageTypes use the top-level coverageTypes.
+ *
+ * Request Body:
+ * {
+ *   "coverageTypes": ["Indoor", "Outdoor"],
+ *   "items": [
+ *     { "address": "123 Main St, City, State", "carriers": ["AT&T"] },
+ *     { "address": "456 Oak Ave, City, State", "carriers": ["Verizon"], "coverageTypes": ["Indoor"] }
+ *   ]
+ * }
+ *
+ * Event format: data: {"progress": 12, "step": "[1/2] Entering address...", "status": "in_progress", "itemIndex": 0, "itemCount": 2, "address": "..."}
+ * Item events:  data: {"progress": 50, "step": "[1/2] Complete", "status": "item_complete", "itemIndex": 0, ...}
+ *               data: {"progress": 100, "step": "[2/2] Failed", "status": "item_failed", "itemIndex": 1, "error": "...", ...}
+ * Final events: data: {"progress": 100, "step": "Complete!", "status": "success"}
+ *               data: {"success": true, "total": 2, "succeeded": 2, "failed": 0, "results": [{ "address": "...", "runs": [...] }], "final": true}
+ * Error event:  data: {"progress": 0, "step": "<error message>", "status": "error"}
+ *
+ * Closing the connection cancels the batch.
+ */
+router.post('/batch', async (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const write = (payload) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const sendProgress = (progress, step, data = {}) => {
+        const status = data.status === 'processing' ? 'in_progress' : (data.status || 'in_progress');
+        write({ progress, step, ...data, status });
+    };
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('Coverage plot batch client disconnected - cancelling batch');
+            controller.abort();
+        }
+    });
+
+    try {
+        const { items, coverageTypes, legacyBase64, forceRefresh } = req.body;
+        const params = { items, coverageTypes, legacyBase64, forceRefresh, ...pickCaptureOptions(req.body) };
+
+        const validation = validateBatchRequest(params);
+        if (!validation.isValid) {
+            sendProgress(0, `Error: ${validation.errors.join('; ')}`, { status: 'error' });
+            res.end();
+            return;
+        }
+
+        const response = await executeCoveragePlotBatch(
+            params,
+            sendProgress,
+            { signal: controller.signal }
+        );
+
+        sendProgress(100, 'Complete!', { status: 'success' });
+        write({ ...response, final: true });
+        res.end();
+    } catch (error) {
+        if (error.code !== 'CANCELLED') {
+            sendProgress(0, error.message, { status: 'error' });
+        }
+        res.end();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Import Routes
+ *
+ * Express router for spreadsheet address-list imports.
+ * Handles the /api/imports routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (multipart upload, status codes, report shape)
+ * - File parsing is delegated to the addressImport service
+ * - Each row is validated and queued through jobManager, with the same rules
+ *   as the single-address endpoints
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const jobManager = require('../services/jobManager');
+const { parseAddressFile } = require('../services/addressImport');
+const { getVenueLabel } = require('../services/venueLocation');
+
+const IMPORT_MAX_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 5;
+// Every accepted row is a queued job; a larger list is rejected as a whole
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 50;
+// Job types a spreadsheet row can become (one address per job)
+const IMPORT_TYPES = ['rom', 'coverage-plot'];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+/**
+ * POST /api/imports
+ *
+ * Uploads a CSV or XLSX venue list and queues one automation job per valid row.
+ *
+ * Request: multipart/form-data
+ *   file: the spreadsheet (.csv or .xlsx); header row with address (or lat
+ *         and lng, optional radius in meters), carriers
+ *         and (coverage-plot) coverage types columns. Multi-value cells are
+ *         separated by , ; or |
+ *   type: "rom" | "coverage-plot"
+ *
+ * Response (200):
+ * {
+ *   "success": true,
+ *   "type": "rom",
+ *   "total": 3,
+ *   "accepted": 2,
+ *   "rejected": 1,
+ *   "rows": [
+ *     { "row": 2, "status": "accepted", "address": "...", "jobId": "6f1c...", "statusUrl": "/api/jobs/6f1c..." },
+ *     { "row": 3, "status": "rejected", "address": "", "errors": ["Address (or lat/lng) is required and must be a non-empty string"] }
+ *   ]
+ * }
+ *
+ * A file with more than IMPORT_MAX_ROWS address rows is rejected (400) and
+ * queues nothing.
+ *
+ * Every row is validated with the same rules as the API for its type, so a
+ * coverage-plot row with an empty or unknown coverage type is rejected, e.g.
+ *   { "row": 4, "status": "rejected", "address": "...", "errors": ["Invalid coverage types: Indor. Valid options: Indoor, Outdoor, Indoor & Outdoor"] }
+ */
+router.post('/', (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, error: `Upload failed: ${error.message}` });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const { type } = req.body;
+
+    console.log('\n' + '━'.repeat(60));
+    console.log('📄 ADDRESS LIST IMPORT');
+    console.log('━'.repeat(60));
+    console.log('Time:', new Date().toISOString());
+    console.log('Type:', type);
+    console.log('File:', req.file ? `${req.file.originalname} (${req.file.size} bytes)` : 'none');
+    console.log('━'.repeat(60));
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'A "file" field with a .csv or .xlsx file is required' });
+    }
+
+    if (!IMPORT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid type: ${type}. Valid options: ${IMPORT_TYPES.join(', ')}`
+        });
+    }
+
+    let entries;
+    try {
+        entries = await parseAddressFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+        if (error.code === 'INVALID_IMPORT_FILE') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Import parse error:', error.message);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    if (entries.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+            success: false,
+            error: `Too many rows: ${entries.length}. Maximum per import: ${IMPORT_MAX_ROWS}`
+        });
+    }
+
+    const rows = entries.map(({ row, ...params }) => {
+        const validation = jobManager.validateJob(type, params);
+        if (!validation.isValid) {
+            return { row, status: 'rejected', address: getVenueLabel(params), errors: validation.errors };
+        }
+
+        const job = jobManager.createJob(type, params);
+        return { row, status: 'accepted', address: getVenueLabel(params), jobId: job.id, statusUrl: `/api/jobs/${job.id}` };
+    });
+
+    const accepted = rows.filter(r => r.status === 'accepted').length;
+    console.log(`✅ Import: ${accepted} rows queued, ${rows.length - accepted} rejected`);
+
+    return res.json({
+        success: true,
+        type,
+        total: rows.length,
+        accepted,
+        rejected: rows.length - accepted,
+        rows
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+/**
+ * Job Routes
+ *
+ * Express router for asynchronous automation jobs.
+ * Handles the /api/jobs/* routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (request/response, status codes)
+ * - Job bookkeeping is delegated to the jobManager service
+ * - Automations themselves are registered as job types in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobManager = require('../services/jobManager');
+const webhookDelivery = require('../services/webhookDelivery');
+const retentionWorker = require('../services/retentionWorker');
+
+/**
+ * POST /api/jobs
+ *
+ * Submits an automation as a background job and returns immediately.
+ *
+ * Request Body:
+ * {
+ *   "type": "rom" | "coverage-plot",
+ *   "address": "123 Main St, City, State",
+ *   "carriers": ["AT&T", "Verizon"],
+ *   "coverageTypes": ["Indoor", "Outdoor"],  // coverage-plot only
+ *   "callbackUrl": "https://crm.example.com/hooks/jobs"   // optional signed webhook when the job ends
+ * }
+ *
+ * Batches use "type": "rom-batch" | "coverage-plot-batch" with an "items"
+ * array instead of address/carriers (same body as /api/rom/batch and /api/batch).
+ * Resume is not available for batches.
+ *
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "jobId": "6f1c...",
+ *   "status": "queued",
+ *   "statusUrl": "/api/jobs/6f1c...",
+ *   "resultUrl": "/api/jobs/6f1c.../result"
+ * }
+ */
+router.post('/', (req, res) => {
+    const { type, callbackUrl, ...params } = req.body;
+
+    console.log('\n' + '━'.repeat(60));
+    console.log('🧾 JOB SUBMISSION');
+    console.log('━'.repeat(60));
+    console.log('Time:', new Date().toISOString());
+    console.log('Type:', type);
+    if (Array.isArray(params.items)) {
+        console.log('Items:', params.items.length);
+    } else {
+        console.log('Address:', params.address);
+        console.log('Carriers:', params.carriers);
+    }
+    console.log('━'.repeat(60));
+
+    const validation = jobManager.validateJob(type, params);
+    if (callbackUrl !== undefined) {
+        validation.errors.push(...webhookDelivery.validateCallbackUrl(callbackUrl).errors);
+    }
+    if (validation.errors.length > 0) {
+        console.log('❌ Validation failed:', validation.errors);
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: validation.errors
+        });
+    }
+
+    const job = jobManager.createJob(type, params, {
+        onFinished: callbackUrl !== undefined ? webhookDelivery.createJobCallback(callbackUrl) : null
+    });
+    console.log(`✅ Job ${job.id} queued`);
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        resultUrl: `/api/jobs/${job.id}/result`
+    });
+});
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns job status and progress.
+ *
+ * Response:
+ * { "success": true, "jobId": "...", "type": "rom", "status": "running", "progress": 45, "step": "Configuring carriers...", ... }
+ */
+router.get('/:id', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    return res.json({ success: true, ...jobManager.toJobStatus(job) });
+});
+
+/**
+ * GET /api/jobs/:id/result
+ *
+ * Returns the automation result (same shape as the synchronous endpoints)
+ * once the job has completed. Responds 409 while the job is still queued or
+ * running, 500 with the error if the job failed and 410 if it was cancelled.
+ */
+router.get('/:id/result', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.status === 'completed') {
+        return res.json({ jobId: job.id, ...job.result });
+    }
+
+    if (job.status === 'failed') {
+        return res.status(500).json({
+            success: false,
+            jobId: job.id,
+            error: job.error,
+            failedStep: job.failedStep,
+            resumable: jobManager.toJobStatus(job).resumable
+        });
+    }
+
+    if (job.status === 'cancelled') {
+        return res.status(410).json({ success: false, jobId: job.id, error: 'Job was cancelled' });
+    }
+
+    return res.status(409).json({
+        success: false,
+        error: 'Job has not finished yet',
+        ...jobManager.toJobStatus(job)
+    });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * POST   /api/jobs/:id/cancel
+ *
+ * Cancels a queued or running job. The running step is aborted, the browser
+ * is closed and the job ends with status "cancelled".
+ *
+ * Response (202): { "success": true, "jobId": "...", "status": "running", "step": "Cancelling...", ... }
+ */
+function cancelJob(req, res) {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (!jobManager.cancelJob(job.id)) {
+        return res.status(409).json({
+            success: false,
+            error: `Job already ${job.status}`,
+            ...jobManager.toJobStatus(job)
+        });
+    }
+
+    return res.status(202).json({ success: true, ...jobManager.toJobStatus(job) });
+}
+
+router.delete('/:id', cancelJob);
+router.post('/:id/cancel', cancelJob);
+
+/**
+ * POST /api/jobs/:id/resume
+ *
+ * Resumes a failed job from its last checkpoint. Login and map setup are
+ * replayed on a fresh session; screenshots captured before the failure are
+ * kept and their views are not captured again. The job keeps its id.
+ *
+ * Response (202): { "success": true, "jobId": "...", "status": "queued", "step": "Resuming...", "completedSteps": ["captureIndoor"], ... }
+ */
+router.post('/:id/resume', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (!jobManager.resumeJob(job.id)) {
+        return res.status(409).json({
+            success: false,
+            error: job.status === 'failed' ? 'Job has no checkpoint to resume from' : `Job is ${job.status}, only failed jobs can be resumed`,
+            ...jobManager.toJobStatus(job)
+        });
+    }
+
+    return res.status(202).json({ success: true, ...jobManager.toJobStatus(job) });
+});
+
+/**
+ * POST   /api/jobs/:id/pin
+ * DELETE /api/jobs/:id/pin
+ *
+ * Pins a job (e.g. the capture behind a won deal) so neither the job record
+ * nor the artifacts in its result are purged by retention cleanup. DELETE
+ * unpins it again.
+ *
+ * Request Body (POST, optional): { "reason": "Won - Acme Stadium DAS" }
+ *
+ * Response: { "success": true, "jobId": "...", "pinned": true, "pinnedArtifacts": ["a1b2..."], ... }
+ */
+async function pinJob(req, res, pinned) {
+    const reason = pinned && req.body && typeof req.body.reason === 'string' ? req.body.reason : null;
+
+    let pin;
+    try {
+        pin = await retentionWorker.pinJob(req.params.id, pinned, reason);
+    } catch (error) {
+        console.error(`Pinning job ${req.params.id} failed:`, error.message);
+        return res.status(500).json({ success: false, error: 'Artifact storage unavailable' });
+    }
+
+    if (!pin) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    return res.json({
+        success: true,
+        ...jobManager.toJobStatus(pin.job),
+        pinnedArtifacts: pinned ? pin.artifactIds : []
+    });
+}
+
+router.post('/:id/pin', (req, res) => pinJob(req, res, true));
+router.delete('/:id/pin', (req, res) => pinJob(req, res, false));
+
+module.exports = router;
@@ -12,7 +12,17 @@
 
 const express = require('express');
 const router = express.Router();
-const { executeRomAutomation, executeRomAutomationStream, validateRequest } = require('../services/romAutomation');
+const {
+    executeRomAutomation,
+    executeRomAutomationStream,
+    executeRomBatch,
+    validateRequest,
+    validateBatchRequest
+} = require('../services/romAutomation');
+const jobManager = require('../services/jobManager');
+const webhookDelivery = require('../services/webhookDelivery');
+const { pickCaptureOptions } = require('../services/captureOptions');
+const { pickLocation } = require('../services/venueLocation');
 
 /**
  * POST /api/rom/automate
@@ -22,26 +32,70 @@ const { executeRomAutomation, executeRomAutomationStream, validateRequest } = re
  * 
  * Request Body:
  * {
- *   "address": "123 Main St, City, State",
- *   "carriers": ["AT&T", "Verizon"]
+ *   "address": "123 Main St, City, State",                // or "lat"/"lng" (address then optional, used as label)
+ *   "carriers": ["AT&T", "Verizon"],
+ *   "technology": "5G NR",                               // optional, "LTE" (default), "5G NR" or "both"
+ *   "metrics": ["RSRP", "RSRQ"],                         // optional, default ["RSRP"]; one screenshot set per technology and metric
+ *   "perCarrier": true,                                  // optional, one screenshot set per carrier, tagged with "carrier"
+ *   "zoom": "building",                                  // optional, Leaflet zoom level (0-22) or "campus", "block", "building"
+ *   "baseLayer": "Satellite",                            // optional, map layer by its Ookla label, default "Day"
+ *   "dateRange": "last90days",                           // optional, preset or { "start": "2025-01-01", "end": "2025-06-30" }
+ *   "callbackUrl": "https://crm.example.com/hooks/rom"   // optional
  * }
  * 
  * Response:
  * {
  *   "success": true,
  *   "screenshots": [
- *     { "filename": "rom_INDOOR_...", "buffer": "base64...", "size": "150" },
- *     { "filename": "rom_OUTDOOR_...", "buffer": "base64...", "size": "145" }
+ *     { "artifactId": "...", "filename": "rom_INDOOR_...", "contentType": "image/png", "size": "150", "url": "/api/artifacts/...", "technology": "LTE", "metric": "RSRP" },
+ *     { "artifactId": "...", "filename": "rom_OUTDOOR_...", "contentType": "image/png", "size": "145", "url": "/api/artifacts/...", "technology": "LTE", "metric": "RSRP" }
  *   ],
  *   "duration": 120.5,
- *   "count": 2
+ *   "excelFiles": [
+ *     { "artifactId": "...", "filename": "rom_WORKBOOK_...", "contentType": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "size": "310", "url": "/api/artifacts/...", "source": "workbook" },
+ *     { "artifactId": "...", "filename": "rom_DATA_...", "contentType": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "size": "48", "url": "/api/artifacts/...", "technology": "LTE", "metric": "RSRP", "source": "export" }
+ *   ],
+ *   "count": 2,
+ *   "dateRange": { "preset": "last90days", "start": "2025-04-01", "end": "2025-06-30" },
+ *   "warnings": [],
+ *   "cache": { "hit": false, "capturedAt": "...", "expiresAt": "..." }
  * }
+ *
+ * "warnings" lists problems that did not fail the run, such as a baseLayer
+ * Ookla does not offer (the map then keeps its current layer).
+ *
+ * "excelFiles" holds XLSX files: first the estimator workbook ("source":
+ * "workbook": summary, one sheet per screenshot, pricing placeholder), then
+ * the data behind the last captured map (its technology and metric, all
+ * requested carriers) from Ookla's data export or the data table the page
+ * shows ("source": "export" or "table"). A file that cannot be produced is
+ * left out and adds a warning.
+ *
+ * "dateRange" is the data period set in Ookla's filter panel (null: Ookla's
+ * default window). Presets are "last30days", "last90days", "last6months" and
+ * "last12months", ending today (UTC). A range Ookla does not accept fails the run.
+ *
+ * Sites without a searchable address can send "lat" and "lng" instead; add
+ * "radius" (meters) or "bounds" { "north", "south", "east", "west" } to frame
+ * the map around the point. "address" is then an optional label.
+ *
+ * Set "legacyBase64": true to also get each PNG inline as "buffer" (base64).
+ *
+ * A capture of the same address, carriers and views within
+ * RESULT_CACHE_TTL_HOURS is returned from the result cache; the response then
+ * has "cache": { "hit": true, "capturedAt": "...", "expiresAt": "..." }.
+ * Send "forceRefresh": true to capture again.
+ *
+ * With callbackUrl the automation runs as a job instead: the response is
+ * 202 { "success": true, "jobId": "...", "statusUrl": "...", ... } and the
+ * result or error is POSTed to callbackUrl as a signed webhook.
  */
 router.post('/automate', async (req, res) => {
     const startTime = Date.now();
 
     try {
-        const { address, carriers } = req.body;
+        const { address, carriers, legacyBase64, forceRefresh, callbackUrl } = req.body;
+        const params = { address, carriers, legacyBase64, forceRefresh, ...pickLocation(req.body), ...pickCaptureOptions(req.body) };
 
         // Log incoming request
         console.log('\n' + '━'.repeat(60));
@@ -53,8 +107,11 @@ router.post('/automate', async (req, res) => {
         console.log('━'.repeat(60));
 
         // Validate request
-        const validation = validateRequest({ address, carriers });
-        if (!validation.isValid) {
+        const validation = validateRequest(params);
+        if (callbackUrl !== undefined) {
+            validation.errors.push(...webhookDelivery.validateCallbackUrl(callbackUrl).errors);
+        }
+        if (validation.errors.length > 0) {
             console.log('❌ Validation failed:', validation.errors);
             return res.status(400).json({
                 success: false,
@@ -63,8 +120,24 @@ router.post('/automate', async (req, res) => {
             });
         }
 
+        // Run in the background and report to callbackUrl when done
+        if (callbackUrl !== undefined) {
+            const job = jobManager.createJob('rom', params, {
+                onFinished: webhookDelivery.createJobCallback(callbackUrl)
+            });
+            console.log(`✅ ROM job ${job.id} queued - result will be sent to ${callbackUrl}`);
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                resultUrl: `/api/jobs/${job.id}/result`,
+                callbackUrl
+            });
+        }
+
         // Execute automation
-        const result = await executeRomAutomation({ address, carriers });
+        const result = await executeRomAutomation(params);
 
         // Log success
         const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -101,9 +174,13 @@ router.post('/automate', async (req, res) => {
  * SSE endpoint: runs ROM automation and streams progress events.
  * Same request body as /api/rom/automate. Response is text/event-stream.
  *
+ * Queued event: data: {"progress": 0, "step": "Queued, position 2", "status": "queued", "position": 2}
  * Event format: data: {"progress": 5, "step": "Initializing...", "status": "processing"}
- * Final event:  data: {"progress": 100, "step": "Complete", "final": true, "success": true, "excelFiles": [], "screenshots": [...]}
+ * Final event:  data: {"progress": 100, "step": "Complete", "final": true, "success": true, "excelFiles": [...], "screenshots": [...]}
  * Error event:  data: {"progress": 0, "step": "Error", "final": true, "success": false, "error": "..."}
+ *
+ * Closing the connection cancels the automation (queued or running) and
+ * returns its browser session to the pool for recycling.
  */
 router.post('/automate/stream', async (req, res) => {
     // SSE headers (same pattern as coverage-plot /api/automate/stream)
@@ -115,12 +192,23 @@ router.post('/automate/stream', async (req, res) => {
     }
 
     const sendProgress = (progress, step, data = {}) => {
+        if (res.writableEnded || res.destroyed) return;
         const payload = { progress, step, ...data };
         res.write(`data: ${JSON.stringify(payload)}\n\n`);
     };
 
+    // Client went away before the final event: cancel the automation
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('ROM stream client disconnected - cancelling automation');
+            controller.abort();
+        }
+    });
+
     try {
-        const { address, carriers } = req.body;
+        const { address, carriers, legacyBase64, forceRefresh } = req.body;
+        const params = { address, carriers, legacyBase64, forceRefresh, ...pickLocation(req.body), ...pickCaptureOptions(req.body) };
 
         console.log('\n' + '━'.repeat(60));
         console.log('📸 ROM AUTOMATION STREAM REQUEST');
@@ -130,7 +218,7 @@ router.post('/automate/stream', async (req, res) => {
         console.log('Carriers:', carriers);
         console.log('━'.repeat(60));
 
-        const validation = validateRequest({ address, carriers });
+        const validation = validateRequest(params);
         if (!validation.isValid) {
             sendProgress(0, 'Validation failed', {
                 final: true,
@@ -142,9 +230,13 @@ router.post('/automate/stream', async (req, res) => {
             return;
         }
 
-        await executeRomAutomationStream({ address, carriers }, sendProgress);
+        await executeRomAutomationStream(params, sendProgress, { signal: controller.signal });
         res.end();
     } catch (error) {
+        if (error.code === 'CANCELLED') {
+            res.end();
+            return;
+        }
         console.error('ROM stream error:', error.message);
         sendProgress(0, 'Error', {
             final: true,
@@ -156,6 +248,89 @@ router.post('/automate/stream', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/rom/batch
+ *
+ * SSE endpoint: runs ROM automation for many addresses on one browser
+ * session and streams per-item progress. A failed item does not stop the batch.
+ *
+ * Request Body:
+ * {
+ *   "items": [
+ *     { "address": "123 Main St, City, State", "carriers": ["AT&T", "Verizon"] },
+ *     { "address": "456 Oak Ave, City, State", "carriers": ["T-Mobile"] }
+ *   ]
+ * }
+ *
+ * Event format: data: {"progress": 12, "step": "[1/2] Entering address...", "status": "processing", "itemIndex": 0, "itemCount": 2, "address": "..."}
+ * Item events:  data: {"progress": 50, "step": "[1/2] Complete", "status": "item_complete", "itemIndex": 0, "count": 2, ...}
+ *               data: {"progress": 100, "step": "[2/2] Failed", "status": "item_failed", "itemIndex": 1, "error": "...", ...}
+ * Final event:  data: {"progress": 100, "step": "Complete", "final": true, "success": false, "total": 2, "succeeded": 1, "failed": 1,
+ *                      "results": [{ "address": "...", "runs": [{ "itemIndex": 0, "carriers": [...], "success": true, "screenshots": [...] }] }]}
+ *
+ * Closing the connection cancels the batch.
+ */
+router.post('/batch', async (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const sendProgress = (progress, step, data = {}) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`data: ${JSON.stringify({ progress, step, ...data })}\n\n`);
+    };
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('ROM batch client disconnected - cancelling batch');
+            controller.abort();
+        }
+    });
+
+    try {
+        const { items, legacyBase64, forceRefresh } = req.body;
+        const params = { items, legacyBase64, forceRefresh, ...pickCaptureOptions(req.body) };
+
+        console.log('\n' + '━'.repeat(60));
+        console.log('📸 ROM BATCH REQUEST');
+        console.log('━'.repeat(60));
+        console.log('Time:', new Date().toISOString());
+        console.log('Items:', Array.isArray(items) ? items.length : items);
+        console.log('━'.repeat(60));
+
+        const validation = validateBatchRequest(params);
+        if (!validation.isValid) {
+            sendProgress(0, 'Validation failed', {
+                final: true,
+                success: false,
+                error: validation.errors.join('; '),
+                status: 'error'
+            });
+            res.end();
+            return;
+        }
+
+        const result = await executeRomBatch(params, sendProgress, { signal: controller.signal });
+        sendProgress(100, 'Complete', { final: true, ...result });
+        res.end();
+    } catch (error) {
+        if (error.code === 'CANCELLED') {
+            res.end();
+            return;
+        }
+        console.error('ROM batch error:', error.message);
+        sendProgress(0, 'Error', {
+            final: true,
+            success: false,
+            error: error.message,
+            status: 'error'
+        });
+        res.end();
+    }
+});
+
 /**
  * GET /api/rom/health
  * 
@@ -168,7 +343,8 @@ router.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         endpoints: {
             automate: 'POST /api/rom/automate',
-            automateStream: 'POST /api/rom/automate/stream'
+            automateStream: 'POST /api/rom/automate/stream',
+            batch: 'POST /api/rom/batch'
         }
     });
 });
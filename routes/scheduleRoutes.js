@@ -0,0 +1,165 @@
+/**
+ * Schedule Routes
+ *
+ * Express router for recurring venue captures.
+ * Handles the /api/schedules/* routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (request/response, status codes)
+ * - Schedule storage, timers and history are delegated to the scheduler service
+ */
+
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../services/scheduler');
+const venueHistory = require('../services/venueHistory');
+
+/**
+ * GET /api/schedules
+ *
+ * Lists all schedules with their next run time.
+ */
+router.get('/', (req, res) => {
+    return res.json({ success: true, schedules: scheduler.listSchedules() });
+});
+
+/**
+ * POST /api/schedules
+ *
+ * Creates a schedule.
+ *
+ * Request Body:
+ * {
+ *   "name": "Stadium monthly",                      // optional, defaults to the address
+ *   "type": "coverage-plot",                        // or "rom"; default "coverage-plot"
+ *   "address": "123 Main St, City, State",          // or "lat"/"lng" (+ "radius" or "bounds"), see venueLocation
+ *   "carriers": ["AT&T", "Verizon"],
+ *   "coverageTypes": ["Indoor", "Outdoor"],         // coverage-plot only
+ *   "technology": "both",                           // optional, see captureOptions
+ *   "perCarrier": true,                             // optional, see captureOptions
+ *   "zoom": "campus",                               // optional, see captureOptions
+ *   "baseLayer": "Satellite",                       // optional, see captureOptions
+ *   "dateRange": "last90days",                      // optional, see captureOptions; presets end on the run date
+ *   "metrics": ["RSRP"],                            // optional, see captureOptions
+ *   "cron": "0 6 1 * *",                            // 06:00 on the 1st of every month
+ *   "timezone": "America/New_York",                 // optional, default SCHEDULER_TIMEZONE
+ *   "enabled": true                                 // optional, default true
+ * }
+ *
+ * Response (201): { "success": true, "schedule": { "id": "...", "nextRunAt": "...", ... } }
+ */
+router.post('/', (req, res) => {
+    const validation = scheduler.validateSchedule(req.body);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: validation.errors
+        });
+    }
+
+    return res.status(201).json({ success: true, schedule: scheduler.createSchedule(req.body) });
+});
+
+/**
+ * GET /api/schedules/history?address=...
+ *
+ * Result history of a venue, oldest run first. Scheduled runs of every
+ * schedule for the address are included. Venues given as coordinates are
+ * looked up by their "lat,lng" label.
+ *
+ * Response: { "success": true, "address": "...", "runs": [{ "runId": "...", "status": "completed", "screenshots": [...], ... }] }
+ */
+router.get('/history', (req, res) => {
+    const { address } = req.query;
+    if (!address || typeof address !== 'string' || address.trim().length === 0) {
+        return res.status(400).json({ success: false, error: 'Address query parameter is required' });
+    }
+
+    return res.json({ success: true, ...venueHistory.getHistory(address) });
+});
+
+/**
+ * GET /api/schedules/:id
+ */
+router.get('/:id', (req, res) => {
+    const schedule = scheduler.getSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    return res.json({ success: true, schedule });
+});
+
+/**
+ * PATCH /api/schedules/:id
+ *
+ * Updates any of the fields accepted by POST /api/schedules
+ * (e.g. { "enabled": false } to pause a schedule).
+ */
+router.patch('/:id', (req, res) => {
+    const existing = scheduler.getSchedule(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const validation = scheduler.validateSchedule(req.body, existing);
+    if (!validation.isValid) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: validation.errors
+        });
+    }
+
+    return res.json({ success: true, schedule: scheduler.updateSchedule(req.params.id, req.body) });
+});
+
+/**
+ * DELETE /api/schedules/:id
+ *
+ * Deletes a schedule. The venue history is kept.
+ */
+router.delete('/:id', (req, res) => {
+    if (!scheduler.deleteSchedule(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    return res.json({ success: true });
+});
+
+/**
+ * POST /api/schedules/:id/run
+ *
+ * Runs a schedule now. Responds 409 if its previous run is still active.
+ *
+ * Response (202): { "success": true, "jobId": "...", "statusUrl": "/api/jobs/..." }
+ */
+router.post('/:id/run', (req, res) => {
+    if (!scheduler.getSchedule(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    const job = scheduler.runNow(req.params.id);
+    if (!job) {
+        return res.status(409).json({ success: false, error: 'Previous run is still active' });
+    }
+
+    return res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+});
+
+/**
+ * GET /api/schedules/:id/history
+ *
+ * Result history of the schedule's venue (same as /api/schedules/history?address=...).
+ */
+router.get('/:id/history', (req, res) => {
+    const history = scheduler.getScheduleHistory(req.params.id);
+    if (!history) {
+        return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    return res.json({ success: true, ...history });
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Webhook Routes
+ *
+ * Express router for the webhook delivery log.
+ * Handles the /api/webhooks/* routes.
+ *
+ * Separation of Concerns:
+ * - Routes handle HTTP concerns (request/response, status codes)
+ * - Signing, retries and the log itself live in the webhookDelivery service
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookDelivery = require('../services/webhookDelivery');
+
+/**
+ * GET /api/webhooks/deliveries?jobId=...
+ *
+ * Lists webhook deliveries, newest first, optionally for one job.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "deliveries": [{
+ *     "id": "...", "url": "...", "event": "automation.completed", "jobId": "...",
+ *     "status": "delivered" | "pending" | "failed",
+ *     "attempts": [{ "at": "...", "statusCode": 200, "error": null, "durationMs": 84 }],
+ *     "createdAt": "...", "deliveredAt": "...", "nextAttemptAt": null
+ *   }]
+ * }
+ */
+router.get('/deliveries', (req, res) => {
+    const { jobId } = req.query;
+    return res.json({ success: true, deliveries: webhookDelivery.listDeliveries({ jobId }) });
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', (req, res) => {
+    const delivery = webhookDelivery.getDelivery(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    return res.json({ success: true, delivery });
+});
+
+module.exports = router;
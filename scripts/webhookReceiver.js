@@ -0,0 +1,69 @@
+/**
+ * Local Webhook Receiver
+ *
+ * Stand-in for the CRM side when testing callbackUrl webhooks locally.
+ * Verifies the X-Webhook-Signature header and prints each delivery.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=... npm run webhook:receiver
+ *   start the service with WEBHOOK_ALLOWED_HOSTS=localhost (callbacks to
+ *   loopback addresses are rejected otherwise), then submit with
+ *   "callbackUrl": "http://localhost:4001/webhook"
+ *
+ * WEBHOOK_RECEIVER_PORT (default 4001) sets the port and
+ * WEBHOOK_RECEIVER_FAIL=N answers the first N deliveries with 500 to exercise retries.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4001;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failuresLeft = parseInt(process.env.WEBHOOK_RECEIVER_FAIL, 10) || 0;
+
+if (!SECRET) {
+    console.error('WEBHOOK_SECRET is required to verify signatures');
+    process.exit(1);
+}
+
+function verify(timestamp, body, signature) {
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const valid = verify(req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature']);
+
+        console.log('\n' + '━'.repeat(60));
+        console.log(`📬 ${req.method} ${req.url} - ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']})`);
+        console.log(`   Signature: ${valid ? '✅ valid' : '❌ INVALID'}`);
+
+        if (!valid) {
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log('   Answering 500 to test retries');
+            res.writeHead(500).end();
+            return;
+        }
+
+        const payload = JSON.parse(body);
+        console.log(`   Job: ${payload.jobId} (${payload.type}) - ${payload.status}`);
+        if (payload.error) console.log(`   Error: ${payload.error}`);
+        if (payload.result) console.log(`   Screenshots: ${payload.result.count}`);
+        res.writeHead(204).end();
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/webhook`);
+});
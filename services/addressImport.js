@@ -0,0 +1,169 @@
+/**
+ * Address Import Service
+ *
+ * Reads venue lists from CSV or XLSX spreadsheets into automation parameters.
+ *
+ * Separation of Concerns:
+ * - Only parses files; validating rows and queueing jobs is done by the
+ *   import route through jobManager (same rules as validateRequest, including
+ *   coverage types); cells are passed on as written
+ * - Columns are matched by header name, in any order and case:
+ *   address, lat/lng (instead of or alongside address), radius, carriers,
+ *   coverage types
+ * - Multi-value cells (carriers, coverage types) are split on , ; or |
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+// Normalized header -> field
+const HEADER_ALIASES = {
+    address: 'address',
+    venueaddress: 'address',
+    siteaddress: 'address',
+    lat: 'lat',
+    latitude: 'lat',
+    lng: 'lng',
+    lon: 'lng',
+    long: 'lng',
+    longitude: 'lng',
+    radius: 'radius',
+    radiusm: 'radius',
+    radiusmeters: 'radius',
+    carriers: 'carriers',
+    carrier: 'carriers',
+    coveragetypes: 'coverageTypes',
+    coveragetype: 'coverageTypes',
+    coverage: 'coverageTypes'
+};
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+function createImportError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_IMPORT_FILE';
+    return error;
+}
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Blank cells stay unset; anything else becomes a number (NaN fails validation)
+function toNumber(value) {
+    const text = String(value || '').trim();
+    return text ? Number(text) : undefined;
+}
+
+function splitList(value) {
+    return String(value || '')
+        .split(/[,;|]/)
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * @returns {string[][]} Rows of cell text, header row first
+ */
+function readCsv(buffer) {
+    return parse(buffer, {
+        bom: true,
+        trim: true,
+        // Blank lines are kept (and skipped later) so row numbers match the file
+        relax_column_count: true
+    });
+}
+
+/**
+ * @returns {Promise<string[][]>} Rows of cell text from the first worksheet, header row first
+ */
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw createImportError(`Could not read XLSX file: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+        const row = sheet.getRow(r);
+        const cells = [];
+        for (let c = 1; c <= sheet.columnCount; c++) {
+            cells.push(row.getCell(c).text.trim());
+        }
+        rows.push(cells);
+    }
+    return rows;
+}
+
+/**
+ * Parse an uploaded address list
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original filename; its extension picks the parser
+ * @returns {Promise<Object[]>} [{ row, address, lat?, lng?, radius?, carriers, coverageTypes }] where row is the
+ *   spreadsheet row number (header is row 1); blank rows are skipped
+ * @throws {Error} code INVALID_IMPORT_FILE for unsupported or unreadable files
+ */
+async function parseAddressFile(buffer, filename) {
+    const extension = (String(filename).match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw createImportError(`Unsupported file type: ${extension || 'none'}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+
+    let rows;
+    if (extension === '.csv') {
+        try {
+            rows = readCsv(buffer);
+        } catch (error) {
+            throw createImportError(`Could not read CSV file: ${error.message}`);
+        }
+    } else {
+        rows = await readXlsx(buffer);
+    }
+
+    if (rows.length === 0) {
+        throw createImportError('File is empty');
+    }
+
+    const columns = {};
+    rows[0].forEach((header, idx) => {
+        const field = HEADER_ALIASES[normalizeHeader(header)];
+        if (field && columns[field] === undefined) {
+            columns[field] = idx;
+        }
+    });
+
+    if (columns.address === undefined && (columns.lat === undefined || columns.lng === undefined)) {
+        throw createImportError('Missing "address" (or "lat" and "lng") column in header row');
+    }
+
+    const entries = [];
+    rows.slice(1).forEach((cells, idx) => {
+        if (cells.every(cell => !cell)) return;
+
+        const cell = (field) => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+        const entry = {
+            row: idx + 2,
+            address: cell('address'),
+            carriers: splitList(cell('carriers'))
+        };
+        ['lat', 'lng', 'radius'].forEach((field) => {
+            const value = toNumber(cell(field));
+            if (value !== undefined) entry[field] = value;
+        });
+        if (columns.coverageTypes !== undefined) {
+            entry.coverageTypes = splitList(cell('coverageTypes'));
+        }
+        entries.push(entry);
+    });
+
+    return entries;
+}
+
+module.exports = {
+    parseAddressFile
+};
@@ -0,0 +1,19 @@
+/**
+ * Address Utilities
+ *
+ * Helpers for treating differently typed copies of the same address as one
+ * venue (batch result grouping, per-venue history).
+ */
+
+/**
+ * Normalize an address for comparison: trimmed, single-spaced, lowercase
+ * @param {string} address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+    return String(address || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+module.exports = {
+    normalizeAddress
+};
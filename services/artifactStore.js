@@ -0,0 +1,377 @@
+/**
+ * Artifact Store Service
+ *
+ * Stores captured files (screenshots, data exports) so responses can return small
+ * artifact references with download URLs instead of embedded base64.
+ *
+ * Separation of Concerns:
+ * - ARTIFACT_STORAGE picks the backend: 'local' (disk under ARTIFACT_DIR) or
+ *   's3' (any S3-compatible store such as MinIO, see the S3_* variables)
+ * - Both backends expose the same put/get/remove/list/updateMeta interface;
+ *   callers only see artifact references { artifactId, filename, contentType, size, url }
+ * - Both keep metadata as a JSON sidecar next to the data (<id>.json)
+ * - Served by GET /api/artifacts/:id (routes/artifactRoutes.js)
+ * - Pinned artifacts are exempt from retention cleanup (retentionWorker)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE = (process.env.ARTIFACT_STORAGE || 'local').toLowerCase();
+const ARTIFACT_DIR = process.env.ARTIFACT_DIR || path.join(__dirname, '..', '.data', 'artifacts');
+const LEGACY_BASE64_DEFAULT = process.env.ARTIFACT_LEGACY_BASE64 === 'true';
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// ============== LOCAL DISK BACKEND ==============
+
+function createLocalBackend() {
+    const dataFile = (id) => path.join(ARTIFACT_DIR, `${id}.bin`);
+    const metaFile = (id) => path.join(ARTIFACT_DIR, `${id}.json`);
+
+    return {
+        name: 'local',
+
+        async put(id, buffer, meta) {
+            await fs.promises.mkdir(ARTIFACT_DIR, { recursive: true });
+            await fs.promises.writeFile(dataFile(id), buffer);
+            await fs.promises.writeFile(metaFile(id), JSON.stringify(meta));
+        },
+
+        async readMeta(id) {
+            try {
+                return JSON.parse(await fs.promises.readFile(metaFile(id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async updateMeta(id, meta) {
+            await fs.promises.writeFile(metaFile(id), JSON.stringify(meta));
+        },
+
+        async list() {
+            let files;
+            try {
+                files = await fs.promises.readdir(ARTIFACT_DIR);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const metas = [];
+            for (const file of files.filter(f => f.endsWith('.json'))) {
+                const meta = await this.readMeta(path.basename(file, '.json'));
+                if (meta) metas.push(meta);
+            }
+            return metas;
+        },
+
+        async get(id) {
+            let meta;
+            try {
+                meta = JSON.parse(await fs.promises.readFile(metaFile(id), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+            return { meta, stream: fs.createReadStream(dataFile(id)) };
+        },
+
+        async remove(id) {
+            await fs.promises.rm(dataFile(id), { force: true });
+            await fs.promises.rm(metaFile(id), { force: true });
+        }
+    };
+}
+
+// ============== S3 / MINIO BACKEND ==============
+
+function createS3Backend() {
+    // Only loaded when S3 storage is configured
+    const {
+        S3Client,
+        PutObjectCommand,
+        GetObjectCommand,
+        DeleteObjectCommand,
+        ListObjectsV2Command
+    } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    const prefix = process.env.S3_PREFIX || 'artifacts/';
+    if (!bucket) {
+        throw new Error('ARTIFACT_STORAGE=s3 requires S3_BUCKET');
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self-hosted stores need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    const dataKey = (id) => prefix + id;
+    // Metadata lives in a sidecar object: S3 user metadata is ASCII-only and
+    // limited to 2 KB, too small for addresses and pin reasons
+    const metaKey = (id) => `${prefix}${id}.json`;
+    const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+        error.$metadata?.httpStatusCode === 404;
+
+    const writeMeta = (id, meta) => client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: metaKey(id),
+        Body: JSON.stringify(meta),
+        ContentType: 'application/json'
+    }));
+
+    return {
+        name: 's3',
+
+        async put(id, buffer, meta) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: dataKey(id),
+                Body: buffer,
+                ContentType: meta.contentType
+            }));
+            await writeMeta(id, meta);
+        },
+
+        async readMeta(id) {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: metaKey(id) }));
+                return JSON.parse(await object.Body.transformToString('utf8'));
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async updateMeta(id, meta) {
+            await writeMeta(id, meta);
+        },
+
+        // One GET per sidecar to read its metadata; fine for the volumes we keep
+        async list() {
+            const metas = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+                for (const object of (page.Contents || []).filter(o => o.Key.endsWith('.json'))) {
+                    const meta = await this.readMeta(object.Key.slice(prefix.length, -'.json'.length));
+                    if (meta) metas.push(meta);
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return metas;
+        },
+
+        async get(id) {
+            const meta = await this.readMeta(id);
+            if (!meta) return null;
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: dataKey(id) }));
+                return { meta, stream: object.Body };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async remove(id) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: dataKey(id) }));
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: metaKey(id) }));
+        }
+    };
+}
+
+let backend = null;
+
+function getBackend() {
+    if (!backend) {
+        if (STORAGE === 's3') {
+            backend = createS3Backend();
+        } else if (STORAGE === 'local') {
+            backend = createLocalBackend();
+        } else {
+            throw new Error(`Unknown ARTIFACT_STORAGE: ${STORAGE}. Valid options: local, s3`);
+        }
+        console.log(`  [Artifacts] Using ${backend.name} storage`);
+    }
+    return backend;
+}
+
+// ============== ARTIFACTS ==============
+
+function toReference(meta) {
+    return {
+        artifactId: meta.id,
+        filename: meta.filename,
+        contentType: meta.contentType,
+        size: meta.size,
+        url: `/api/artifacts/${meta.id}`
+    };
+}
+
+/**
+ * Store a file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.filename - Download filename
+ * @param {string} options.contentType - MIME type
+ * @param {Object} [options.metadata] - Extra fields kept with the artifact (address, view, ...)
+ * @returns {Promise<Object>} { artifactId, filename, contentType, size, url } where size is in KB
+ */
+async function saveArtifact(buffer, { filename, contentType, metadata = {} }) {
+    const meta = {
+        ...metadata,
+        id: crypto.randomUUID(),
+        filename,
+        contentType,
+        size: (buffer.length / 1024).toFixed(2),
+        bytes: buffer.length,
+        createdAt: new Date().toISOString()
+    };
+
+    await getBackend().put(meta.id, buffer, meta);
+    return toReference(meta);
+}
+
+/**
+ * Store a screenshot returned by ooklaHelpers.takeScreenshot
+ * @param {Object} screenshot - { filename, buffer (base64), size }
+ * @param {Object} [options]
+ * @param {boolean} [options.legacyBase64] - Keep the base64 buffer in the returned reference
+ *   (defaults to ARTIFACT_LEGACY_BASE64)
+ * @param {Object} [options.metadata] - Extra fields kept with the artifact
+ * @returns {Promise<Object>} Artifact reference, plus buffer in legacy mode
+ */
+async function saveScreenshot(screenshot, { legacyBase64 = LEGACY_BASE64_DEFAULT, metadata = {} } = {}) {
+    const reference = await saveArtifact(Buffer.from(screenshot.buffer, 'base64'), {
+        filename: screenshot.filename,
+        contentType: 'image/png',
+        metadata: { kind: 'screenshot', ...metadata }
+    });
+    console.log(`    ✓ Stored as artifact ${reference.artifactId}`);
+
+    return legacyBase64 ? { ...reference, buffer: screenshot.buffer } : reference;
+}
+
+/**
+ * Store an Excel workbook (e.g. an Ookla data export)
+ * @param {Object} file - { filename, buffer (Buffer) }
+ * @param {Object} [options]
+ * @param {boolean} [options.legacyBase64] - Also return the workbook as base64 in the reference
+ *   (defaults to ARTIFACT_LEGACY_BASE64)
+ * @param {Object} [options.metadata] - Extra fields kept with the artifact
+ * @returns {Promise<Object>} Artifact reference, plus buffer (base64) in legacy mode
+ */
+async function saveExcelFile({ filename, buffer }, { legacyBase64 = LEGACY_BASE64_DEFAULT, metadata = {} } = {}) {
+    const reference = await saveArtifact(buffer, {
+        filename,
+        contentType: XLSX_CONTENT_TYPE,
+        metadata: { kind: 'excel', ...metadata }
+    });
+    console.log(`    ✓ Stored as artifact ${reference.artifactId}`);
+
+    return legacyBase64 ? { ...reference, buffer: buffer.toString('base64') } : reference;
+}
+
+/**
+ * Open an artifact for download
+ * @param {string} id - Artifact ID
+ * @returns {Promise<Object|null>} { meta, stream }, or null if unknown
+ */
+async function getArtifact(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    return getBackend().get(id);
+}
+
+/**
+ * @param {string} id - Artifact ID
+ * @returns {Promise<boolean>} Whether the artifact is still stored
+ */
+async function hasArtifact(id) {
+    if (!ID_PATTERN.test(id)) return false;
+    return Boolean(await getBackend().readMeta(id));
+}
+
+/**
+ * Read an artifact's contents into memory
+ * @param {string} id - Artifact ID
+ * @returns {Promise<Buffer|null>} Contents, or null if unknown
+ */
+async function readArtifact(id) {
+    const artifact = await getArtifact(id);
+    if (!artifact) return null;
+
+    const chunks = [];
+    for await (const chunk of artifact.stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Delete an artifact
+ * @param {string} id - Artifact ID
+ */
+async function deleteArtifact(id) {
+    if (!ID_PATTERN.test(id)) return;
+    await getBackend().remove(id);
+}
+
+/**
+ * Pin or unpin an artifact; pinned artifacts are never purged by retention
+ * @param {string} id - Artifact ID
+ * @param {boolean} pinned
+ * @param {string} [reason] - e.g. the won deal it belongs to
+ * @returns {Promise<Object|null>} Updated metadata, or null if unknown
+ */
+async function setPinned(id, pinned, reason = null) {
+    if (!ID_PATTERN.test(id)) return null;
+
+    const meta = await getBackend().readMeta(id);
+    if (!meta) return null;
+
+    meta.pinned = pinned;
+    meta.pinnedAt = pinned ? new Date().toISOString() : null;
+    meta.pinReason = pinned ? reason : null;
+    await getBackend().updateMeta(id, meta);
+    return meta;
+}
+
+/**
+ * Metadata of every stored artifact
+ * @returns {Promise<Object[]>} [{ id, filename, contentType, bytes, createdAt, automationType, pinned, ... }]
+ */
+async function listArtifacts() {
+    return getBackend().list();
+}
+
+/**
+ * @returns {string} Active backend name ('local' or 's3')
+ */
+function getStorageName() {
+    return getBackend().name;
+}
+
+module.exports = {
+    saveArtifact,
+    saveScreenshot,
+    saveExcelFile,
+    getArtifact,
+    hasArtifact,
+    readArtifact,
+    deleteArtifact,
+    setPinned,
+    listArtifacts,
+    getStorageName
+};
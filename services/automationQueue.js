@@ -0,0 +1,109 @@
+/**
+ * Automation Queue Service
+ *
+ * Caps how many Playwright automations run at once (each one drives a
+ * Chromium instance) and makes the rest wait in FIFO order.
+ *
+ * Separation of Concerns:
+ * - Automations take a slot with acquireSlot() before leasing a browser and
+ *   hand it back with the returned release() when they finish
+ * - Waiting callers are told their queue position so the SSE routes can
+ *   report "Queued, position N" before the real steps start
+ */
+
+const { createCancelledError } = require('./cancellation');
+
+const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT_AUTOMATIONS, 10) || 1;
+
+let running = 0;
+const waiting = [];
+
+/**
+ * Wait for a free automation slot
+ * @param {Object} [options]
+ * @param {Function} [options.onQueued] - (position) => void; called when queued and whenever the position changes
+ * @param {AbortSignal} [options.signal] - Aborting leaves the queue and rejects with a CANCELLED error
+ * @returns {Promise<Function>} release() - call once the automation has finished
+ */
+function acquireSlot({ onQueued, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createCancelledError());
+            return;
+        }
+
+        const entry = { resolve, onQueued, signal, onAbort: null };
+
+        if (running < MAX_CONCURRENT && waiting.length === 0) {
+            grant(entry);
+            return;
+        }
+
+        if (signal) {
+            entry.onAbort = () => {
+                const idx = waiting.indexOf(entry);
+                if (idx < 0) return;
+                waiting.splice(idx, 1);
+                console.log('  [Queue] Queued automation cancelled');
+                waiting.slice(idx).forEach((other, i) => notify(other, idx + i + 1));
+                reject(createCancelledError());
+            };
+            signal.addEventListener('abort', entry.onAbort, { once: true });
+        }
+
+        waiting.push(entry);
+        console.log(`  [Queue] Automation queued at position ${waiting.length} (${running}/${MAX_CONCURRENT} running)`);
+        notify(entry, waiting.length);
+    });
+}
+
+function grant(entry) {
+    running++;
+    if (entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    let released = false;
+    entry.resolve(() => {
+        if (released) return;
+        released = true;
+        running--;
+        next();
+    });
+}
+
+function next() {
+    let moved = false;
+    while (running < MAX_CONCURRENT && waiting.length > 0) {
+        grant(waiting.shift());
+        moved = true;
+    }
+    if (moved) {
+        waiting.forEach((entry, idx) => notify(entry, idx + 1));
+    }
+}
+
+function notify(entry, position) {
+    if (!entry.onQueued) return;
+    try {
+        entry.onQueued(position);
+    } catch (e) {
+        console.error('  [Queue] onQueued handler failed:', e.message);
+    }
+}
+
+/**
+ * @returns {Object} Queue counters for health endpoints
+ */
+function getStats() {
+    return {
+        maxConcurrent: MAX_CONCURRENT,
+        running,
+        waiting: waiting.length
+    };
+}
+
+module.exports = {
+    acquireSlot,
+    getStats
+};
@@ -0,0 +1,238 @@
+/**
+ * Batch Automation Service
+ *
+ * Runs one automation for each item of a batch ({ address, carriers, ... })
+ * on a single automation slot and a single browser session, so a portfolio
+ * of venues does not pay for a queue wait and a login per address.
+ *
+ * Separation of Concerns:
+ * - Knows nothing about ROM vs Coverage Plot; each caller passes its own
+ *   item validator and item runner (see romAutomation / coveragePlotAutomation)
+ * - A failed item is recorded and the batch moves on; its browser session is
+ *   recycled because its page state is unknown
+ * - Items the result cache can serve are answered without the slot or the
+ *   session; the slot is only taken for the first item that needs Ookla
+ * - Results are grouped by address
+ */
+
+const automationQueue = require('./automationQueue');
+const browserPool = require('./browserPool');
+const { normalizeAddress } = require('./addressUtils');
+const { getVenueLabel } = require('./venueLocation');
+const { createCancelledError, throwIfCancelled, isCancelled } = require('./cancellation');
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+
+/**
+ * Validate a batch request
+ * @param {Object[]} items - Batch items
+ * @param {Function} validateItem - (item) => { isValid, errors }
+ * @returns {Object} Validation result; item errors are prefixed with "Item N:"
+ */
+function validateBatch(items, validateItem) {
+    const errors = [];
+
+    if (!Array.isArray(items) || items.length === 0) {
+        errors.push('Items is required and must be a non-empty array');
+    } else if (items.length > BATCH_MAX_ITEMS) {
+        errors.push(`Too many items: ${items.length}. Maximum per batch: ${BATCH_MAX_ITEMS}`);
+    } else {
+        items.forEach((item, idx) => {
+            if (!item || typeof item !== 'object') {
+                errors.push(`Item ${idx + 1}: must be an object`);
+                return;
+            }
+            validateItem(item).errors.forEach(error => errors.push(`Item ${idx + 1}: ${error}`));
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Group per-item results by address (case- and whitespace-insensitive)
+ * @param {Object[]} itemResults
+ * @returns {Object[]} [{ address, runs: [...] }] in first-seen order
+ */
+function groupByAddress(itemResults) {
+    const groups = new Map();
+    for (const result of itemResults) {
+        const key = normalizeAddress(result.address);
+        if (!groups.has(key)) {
+            groups.set(key, { address: result.address.trim(), runs: [] });
+        }
+        const { address, itemCount, ...run } = result;
+        groups.get(key).runs.push(run);
+    }
+    return Array.from(groups.values());
+}
+
+/**
+ * Execute a batch
+ * @param {Object[]} items - Validated batch items
+ * @param {Function} runItem - (item, { sendProgress, signal, lease }) => Promise<Object>; runs one
+ *   automation on the shared lease without taking its own automation slot
+ * @param {Function} [sendProgress] - (progress, step, data?) => void; data is
+ *   { status: 'queued', position } while waiting for a slot,
+ *   { status: 'processing', itemIndex, itemCount, address } while an item runs and
+ *   { status: 'item_complete' | 'item_failed', itemIndex, itemCount, address, ... } when it ends
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting cancels the batch; it then rejects with a CANCELLED error
+ * @param {Function} [options.lookupItem] - (item) => Promise<Object|null>; a cached result for the item,
+ *   returned without running it
+ * @returns {Promise<Object>} { success, total, succeeded, failed, duration, results }
+ */
+async function executeBatch(items, runItem, sendProgress = () => { }, { signal, lookupItem = async () => null } = {}) {
+    const startTime = Date.now();
+    const itemCount = items.length;
+    const itemResults = [];
+    let releaseSlot = null;
+    let lease = null;
+    let batchFailed = false;
+
+    console.log('='.repeat(60));
+    console.log(`BATCH - Starting (${itemCount} items)`);
+    console.log('='.repeat(60));
+
+    const overallProgress = (itemIndex, itemProgress) => {
+        return Math.min(99, Math.round(((itemIndex + itemProgress / 100) / itemCount) * 100));
+    };
+
+    try {
+        for (let i = 0; i < itemCount; i++) {
+            throwIfCancelled(signal);
+
+            const item = items[i];
+            const itemInfo = { itemIndex: i, itemCount, address: getVenueLabel(item) };
+            const itemSendProgress = (progress, step, data = {}) => {
+                sendProgress(overallProgress(i, progress), `[${i + 1}/${itemCount}] ${step}`, {
+                    ...data,
+                    ...itemInfo,
+                    status: 'processing'
+                });
+            };
+
+            console.log(`\n[Item ${i + 1}/${itemCount}] ${itemInfo.address}`);
+            const itemStart = Date.now();
+
+            try {
+                let result = await lookupItem(item);
+                if (result) {
+                    itemSendProgress(100, 'Using cached capture');
+                } else {
+                    if (!releaseSlot) {
+                        releaseSlot = await automationQueue.acquireSlot({
+                            onQueued: (position) => sendProgress(overallProgress(i, 0), `Queued, position ${position}`, { status: 'queued', position }),
+                            signal
+                        });
+                    }
+
+                    // Previous item left the map configured: start from a clean dashboard
+                    if (lease) {
+                        try {
+                            await lease.reset();
+                        } catch (error) {
+                            console.log(`  ⚠ Could not reset session: ${error.message} - starting a new one`);
+                            await lease.release({ failed: true });
+                            lease = null;
+                        }
+                    }
+                    if (!lease) {
+                        itemSendProgress(0, 'Logging in...');
+                        lease = await browserPool.acquire({ signal });
+                    }
+
+                    result = await runItem(item, { sendProgress: itemSendProgress, signal, lease });
+                }
+
+                itemResults.push({ ...itemInfo, carriers: item.carriers, ...result });
+                console.log(`  ✓ Item ${i + 1} complete (${result.count} screenshots)`);
+                sendProgress(overallProgress(i + 1, 0), `[${i + 1}/${itemCount}] Complete`, {
+                    ...itemInfo,
+                    status: 'item_complete',
+                    count: result.count,
+                    duration: result.duration
+                });
+            } catch (error) {
+                if (isCancelled(error, signal)) {
+                    throw error;
+                }
+
+                // The page is in an unknown state: recycle the session
+                if (lease) {
+                    await lease.release({ failed: true });
+                    lease = null;
+                }
+
+                // Every remaining item would fail the same way
+                if (error.code === 'LOGIN_FAILED') {
+                    throw error;
+                }
+
+                const duration = parseFloat(((Date.now() - itemStart) / 1000).toFixed(2));
+                itemResults.push({
+                    ...itemInfo,
+                    carriers: item.carriers,
+                    success: false,
+                    error: error.message,
+                    failedStep: error.failedStep || null,
+                    duration
+                });
+                console.log(`  ✗ Item ${i + 1} failed: ${error.message}`);
+                sendProgress(overallProgress(i + 1, 0), `[${i + 1}/${itemCount}] Failed`, {
+                    ...itemInfo,
+                    status: 'item_failed',
+                    error: error.message,
+                    failedStep: error.failedStep || null
+                });
+            }
+        }
+
+        const succeeded = itemResults.filter(r => r.success).length;
+        const failed = itemCount - succeeded;
+        const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+
+        console.log('\n' + '='.repeat(60));
+        console.log('BATCH - Complete');
+        console.log('='.repeat(60));
+        console.log(`Duration: ${duration}s`);
+        console.log(`Items: ${succeeded} succeeded, ${failed} failed`);
+        console.log('='.repeat(60));
+
+        return {
+            success: failed === 0,
+            total: itemCount,
+            succeeded,
+            failed,
+            duration,
+            results: groupByAddress(itemResults)
+        };
+
+    } catch (error) {
+        batchFailed = true;
+
+        if (isCancelled(error, signal)) {
+            console.log('\nBATCH - Cancelled');
+            throw createCancelledError();
+        }
+
+        console.error('\n' + '='.repeat(60));
+        console.error('BATCH - Error');
+        console.error('='.repeat(60));
+        console.error('Error:', error.message);
+        console.error('='.repeat(60));
+
+        throw error;
+    } finally {
+        if (lease) await lease.release({ failed: batchFailed });
+        if (releaseSlot) releaseSlot();
+    }
+}
+
+module.exports = {
+    validateBatch,
+    executeBatch
+};
@@ -0,0 +1,215 @@
+/**
+ * Browser Pool Service
+ *
+ * Keeps Chromium instances with logged-in Ookla sessions warm so each
+ * automation does not pay for a browser launch and a typed login.
+ *
+ * Separation of Concerns:
+ * - Automations lease a page with acquire() and hand it back with release()
+ * - Sessions are reset to a clean map between leases and recycled after
+ *   BROWSER_POOL_MAX_USES leases or whenever a lease ends in error
+ * - Limiting how many automations run at once is NOT handled here
+ */
+
+const ooklaHelpers = require('./ooklaHelpers');
+const ooklaSession = require('./ooklaSession');
+const { createCancelledError } = require('./cancellation');
+
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1;
+const MAX_USES = parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 20;
+const IDLE_TIMEOUT_MS = (parseInt(process.env.BROWSER_POOL_IDLE_MINUTES, 10) || 15) * 60 * 1000;
+
+let nextSessionId = 1;
+const idleSessions = [];
+const busySessions = new Set();
+
+// ============== SESSION LIFECYCLE ==============
+
+async function createSession() {
+    const id = nextSessionId++;
+    console.log(`  [Pool] Launching browser session #${id}...`);
+
+    const storageState = ooklaSession.loadStorageState();
+    const { browser, context, page } = await ooklaHelpers.createBrowserContext({ storageState });
+    const session = { id, browser, context, page, uses: 0, closed: false, idleTimer: null };
+
+    browser.on('disconnected', () => {
+        session.closed = true;
+        removeIdle(session);
+    });
+
+    try {
+        await ooklaSession.ensureLoggedIn(page, context, { restored: Boolean(storageState) });
+    } catch (error) {
+        await closeSession(session);
+        throw error;
+    }
+
+    return session;
+}
+
+async function closeSession(session) {
+    removeIdle(session);
+    busySessions.delete(session);
+    if (session.closed) return;
+    session.closed = true;
+
+    console.log(`  [Pool] Closing browser session #${session.id} (${session.uses} uses)`);
+    try {
+        await session.browser.close();
+    } catch (e) {
+        console.error('Error closing browser:', e.message);
+    }
+}
+
+function removeIdle(session) {
+    clearTimeout(session.idleTimer);
+    const idx = idleSessions.indexOf(session);
+    if (idx >= 0) idleSessions.splice(idx, 1);
+}
+
+/**
+ * Bring a reused session back to a clean dashboard, logging in again
+ * if Ookla has expired it.
+ */
+async function resetSession(session) {
+    console.log(`  [Pool] Resetting map state for session #${session.id}...`);
+    const loggedIn = await ooklaHelpers.resetMapState(session.page);
+    if (!loggedIn) {
+        console.log('  [Pool] Ookla session expired, logging in again...');
+        await ooklaSession.ensureLoggedIn(session.page, session.context);
+    }
+}
+
+// ============== LEASES ==============
+
+/**
+ * Lease a logged-in page from the pool
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting closes the leased browser so the running step fails fast
+ * @returns {Promise<Object>} Lease { browser, context, page, reset(), release(options) }
+ */
+async function acquire({ signal } = {}) {
+    let session = null;
+
+    while (idleSessions.length > 0 && !session) {
+        const candidate = idleSessions.shift();
+        clearTimeout(candidate.idleTimer);
+        if (candidate.closed) continue;
+
+        try {
+            await resetSession(candidate);
+            session = candidate;
+        } catch (error) {
+            console.log(`  [Pool] Session #${candidate.id} unusable: ${error.message}`);
+            await closeSession(candidate);
+        }
+    }
+
+    if (!session) {
+        session = await createSession();
+    }
+
+    session.uses++;
+    busySessions.add(session);
+
+    if (signal && signal.aborted) {
+        await closeSession(session);
+        throw createCancelledError();
+    }
+
+    const onAbort = () => {
+        console.log(`  [Pool] Lease on session #${session.id} cancelled - closing browser`);
+        closeSession(session);
+    };
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    console.log(`  [Pool] Leased session #${session.id} (use ${session.uses}/${MAX_USES})`);
+
+    let released = false;
+    return {
+        browser: session.browser,
+        context: session.context,
+        page: session.page,
+        /**
+         * Bring the page back to a clean map without giving up the lease
+         * (batches run several workflows on one session)
+         */
+        reset: () => resetSession(session),
+        /**
+         * Return the page to the pool
+         * @param {Object} [options]
+         * @param {boolean} [options.failed] - The lease ended in error; recycle the session
+         */
+        release: async ({ failed = false } = {}) => {
+            if (released) return;
+            released = true;
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            await releaseSession(session, failed);
+        }
+    };
+}
+
+async function releaseSession(session, failed) {
+    busySessions.delete(session);
+
+    if (session.closed) return;
+
+    if (failed || session.uses >= MAX_USES || idleSessions.length >= POOL_SIZE) {
+        await closeSession(session);
+        return;
+    }
+
+    session.idleTimer = setTimeout(() => closeSession(session), IDLE_TIMEOUT_MS);
+    session.idleTimer.unref();
+    idleSessions.push(session);
+    console.log(`  [Pool] Session #${session.id} returned to pool`);
+}
+
+/**
+ * Pre-launch logged-in sessions up to BROWSER_POOL_SIZE so the first
+ * automations do not pay for a cold start
+ */
+async function warmUp() {
+    const missing = POOL_SIZE - idleSessions.length - busySessions.size;
+    for (let i = 0; i < missing; i++) {
+        try {
+            const session = await createSession();
+            await releaseSession(session, false);
+        } catch (error) {
+            console.error('  [Pool] Warm-up failed:', error.message);
+            return;
+        }
+    }
+}
+
+/**
+ * Close every pooled browser (used on shutdown)
+ */
+async function shutdown() {
+    const all = [...idleSessions, ...busySessions];
+    await Promise.all(all.map(closeSession));
+}
+
+/**
+ * @returns {Object} Pool counters for health endpoints
+ */
+function getStats() {
+    return {
+        size: POOL_SIZE,
+        maxUses: MAX_USES,
+        idle: idleSessions.length,
+        busy: busySessions.size
+    };
+}
+
+module.exports = {
+    acquire,
+    warmUp,
+    shutdown,
+    getStats
+};
@@ -0,0 +1,44 @@
+/**
+ * Cancellation Helpers
+ *
+ * Automations receive an AbortSignal. Aborting it removes a waiting
+ * automation from the queue, closes the leased browser so the running
+ * Playwright step fails fast, and stops the flow before the next step.
+ */
+
+/**
+ * @param {string} [message]
+ * @returns {Error} Error with code 'CANCELLED'
+ */
+function createCancelledError(message = 'Automation cancelled') {
+    const error = new Error(message);
+    error.code = 'CANCELLED';
+    return error;
+}
+
+/**
+ * Throw a CANCELLED error if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw createCancelledError();
+    }
+}
+
+/**
+ * Whether a failure was caused by cancellation. Once the browser is closed
+ * the in-flight step fails with a Playwright error, so the signal is checked too.
+ * @param {Error} error
+ * @param {AbortSignal} [signal]
+ * @returns {boolean}
+ */
+function isCancelled(error, signal) {
+    return Boolean((error && error.code === 'CANCELLED') || (signal && signal.aborted));
+}
+
+module.exports = {
+    createCancelledError,
+    throwIfCancelled,
+    isCancelled
+};
@@ -0,0 +1,203 @@
+/**
+ * Capture Options
+ *
+ * Ookla map settings shared by every automation (ROM, coverage plot, their
+ * batches, jobs and schedules): which technologies and metrics to capture,
+ * whether to capture each carrier on its own, the map zoom, base layer and
+ * the data period.
+ *
+ * Separation of Concerns:
+ * - One place that lists, validates and defaults the options; routes pick
+ *   them from the request and services pass them on to the workflow
+ * - Metrics are technology-neutral (RSRP, RSRQ, SNR, CQI); each technology
+ *   maps them to its own Ookla caption (e.g. RSRP is SS-RSRP under 5G NR,
+ *   see ooklaHelpers.TECHNOLOGIES)
+ * - perCarrier captures one screenshot per requested carrier instead of one
+ *   map blending them all
+ * - zoom is a Leaflet zoom level or a named preset; unset keeps the zoom Ookla
+ *   picks after the address search
+ * - baseLayer is matched against the labels of Ookla's layer control
+ *   (case-insensitive); one Ookla does not offer is a run warning, not an error
+ * - dateRange is a preset (e.g. 'last90days') or { start, end } dates
+ *   (YYYY-MM-DD); presets resolve to dates (UTC) when the run starts, so a
+ *   schedule always captures the latest period. Unset keeps Ookla's default window
+ */
+
+const { TECHNOLOGIES } = require('./ooklaHelpers');
+
+// 'both' captures every technology, LTE first
+const TECHNOLOGY_OPTIONS = [...Object.keys(TECHNOLOGIES), 'both'];
+const METRICS = Array.from(new Set(Object.values(TECHNOLOGIES).flatMap(t => Object.keys(t.metrics))));
+
+const DEFAULT_TECHNOLOGY = 'LTE';
+const DEFAULT_METRICS = ['RSRP'];
+
+// Named zoom levels, from a whole venue campus down to a single building
+const ZOOM_PRESETS = { campus: 15, block: 17, building: 18 };
+const MAX_ZOOM = 22;
+
+// Layers Ookla offers include Day, Night and Satellite
+const DEFAULT_BASE_LAYER = 'Day';
+
+// Periods ending today
+const DATE_RANGE_PRESETS = {
+    last30days: { days: 30 },
+    last90days: { days: 90 },
+    last6months: { months: 6 },
+    last12months: { months: 12 }
+};
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pick the capture options from a request body or job params
+ * @param {Object} params
+ * @returns {Object} { technology?, metrics?, perCarrier?, zoom?, baseLayer?, dateRange? } with unset options left out
+ */
+function pickCaptureOptions({ technology, metrics, perCarrier, zoom, baseLayer, dateRange } = {}) {
+    const options = { technology, metrics, perCarrier, zoom, baseLayer, dateRange };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return options;
+}
+
+function toTechnologies(technology = DEFAULT_TECHNOLOGY) {
+    return technology === 'both' ? Object.keys(TECHNOLOGIES) : [technology];
+}
+
+function toZoomLevel(zoom) {
+    if (Object.prototype.hasOwnProperty.call(ZOOM_PRESETS, zoom)) return ZOOM_PRESETS[zoom];
+    return Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_ZOOM ? zoom : null;
+}
+
+function toISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Real calendar dates only (rejects e.g. 2025-02-30)
+function isISODate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) &&
+        !Number.isNaN(Date.parse(value)) && toISODate(new Date(value)) === value;
+}
+
+function validateDateRange(dateRange) {
+    if (typeof dateRange === 'string') {
+        return Object.prototype.hasOwnProperty.call(DATE_RANGE_PRESETS, dateRange)
+            ? []
+            : [`Invalid dateRange: ${dateRange}. Use { start, end } or one of: ${Object.keys(DATE_RANGE_PRESETS).join(', ')}`];
+    }
+    if (!dateRange || typeof dateRange !== 'object' || Array.isArray(dateRange)) {
+        return [`dateRange must be { start, end } or one of: ${Object.keys(DATE_RANGE_PRESETS).join(', ')}`];
+    }
+
+    const { start, end } = dateRange;
+    const invalid = Object.entries({ start, end }).filter(([, value]) => !isISODate(value)).map(([name]) => name);
+    if (invalid.length > 0) {
+        return [`Invalid dateRange: ${invalid.join(', ')} must be a date (YYYY-MM-DD)`];
+    }
+
+    const errors = [];
+    if (start > end) {
+        errors.push('Invalid dateRange: start must not be after end');
+    }
+    if (end > toISODate(new Date())) {
+        errors.push('Invalid dateRange: end must not be in the future');
+    }
+    return errors;
+}
+
+/**
+ * Validate capture options
+ * @param {Object} options - { technology?, metrics?, perCarrier?, zoom?, baseLayer?, dateRange? }
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateCaptureOptions({ technology, metrics, perCarrier, zoom, baseLayer, dateRange } = {}) {
+    const errors = [];
+
+    const validTechnology = technology === undefined || TECHNOLOGY_OPTIONS.includes(technology);
+    if (!validTechnology) {
+        errors.push(`Invalid technology: ${technology}. Valid options: ${TECHNOLOGY_OPTIONS.join(', ')}`);
+    }
+
+    if (metrics !== undefined) {
+        if (!Array.isArray(metrics) || metrics.length === 0) {
+            errors.push('Metrics must be a non-empty array');
+        } else {
+            const invalidMetrics = metrics.filter(m => !METRICS.includes(m));
+            if (invalidMetrics.length > 0) {
+                errors.push(`Invalid metrics: ${invalidMetrics.join(', ')}. Valid options: ${METRICS.join(', ')}`);
+            } else if (validTechnology) {
+                toTechnologies(technology).forEach(name => {
+                    const unavailable = metrics.filter(m => !TECHNOLOGIES[name].metrics[m]);
+                    if (unavailable.length > 0) {
+                        errors.push(`Metrics not available for ${name}: ${unavailable.join(', ')}`);
+                    }
+                });
+            }
+        }
+    }
+
+    if (perCarrier !== undefined && typeof perCarrier !== 'boolean') {
+        errors.push('perCarrier must be a boolean');
+    }
+
+    if (zoom !== undefined && toZoomLevel(zoom) === null) {
+        errors.push(`Invalid zoom: ${zoom}. Use a zoom level from 0 to ${MAX_ZOOM} or one of: ${Object.keys(ZOOM_PRESETS).join(', ')}`);
+    }
+
+    if (baseLayer !== undefined && (typeof baseLayer !== 'string' || baseLayer.trim().length === 0)) {
+        errors.push('baseLayer must be a non-empty string');
+    }
+
+    if (dateRange !== undefined) {
+        errors.push(...validateDateRange(dateRange));
+    }
+
+    return errors;
+}
+
+function toDateRange(dateRange) {
+    if (typeof dateRange !== 'string') {
+        return { preset: null, start: dateRange.start, end: dateRange.end };
+    }
+
+    const { days = 0, months = 0 } = DATE_RANGE_PRESETS[dateRange];
+    const end = new Date();
+    const start = new Date(end);
+    start.setUTCMonth(start.getUTCMonth() - months);
+    start.setUTCDate(start.getUTCDate() - days);
+    return { preset: dateRange, start: toISODate(start), end: toISODate(end) };
+}
+
+/**
+ * Capture options with defaults applied (validate first)
+ * @param {Object} options - { technology?, metrics?, perCarrier?, zoom?, baseLayer?, dateRange? }
+ * @returns {Object} { technologies, metrics, perCarrier, zoom, baseLayer, dateRange } with duplicates removed,
+ *   in capture order, zoom as a level (null: Ookla's own) and dateRange as
+ *   { preset, start, end } dates (null: Ookla's default window)
+ */
+function resolveCaptureOptions({ technology, metrics, perCarrier = false, zoom, baseLayer = DEFAULT_BASE_LAYER, dateRange } = {}) {
+    return {
+        technologies: toTechnologies(technology),
+        metrics: metrics ? Array.from(new Set(metrics)) : DEFAULT_METRICS,
+        perCarrier,
+        zoom: zoom === undefined ? null : toZoomLevel(zoom),
+        baseLayer: baseLayer.trim(),
+        dateRange: dateRange === undefined ? null : toDateRange(dateRange)
+    };
+}
+
+/**
+ * @param {Object} captureOptions - { technologies, metrics } from resolveCaptureOptions
+ * @returns {boolean} Whether only the default capture (LTE RSRP) is made, so filenames
+ *   need no technology or metric
+ */
+function isDefaultCapture({ technologies, metrics }) {
+    return technologies.length === 1 && technologies[0] === DEFAULT_TECHNOLOGY &&
+        metrics.length === 1 && DEFAULT_METRICS.includes(metrics[0]);
+}
+
+module.exports = {
+    pickCaptureOptions,
+    validateCaptureOptions,
+    resolveCaptureOptions,
+    isDefaultCapture
+};
@@ -0,0 +1,76 @@
+/**
+ * Carrier Catalog
+ *
+ * The carriers a capture can plot: the name clients send (e.g. "AT&T") and
+ * the provider label Ookla shows in its network provider tree ("AT&T US").
+ *
+ * Separation of Concerns:
+ * - Loaded once from CARRIER_CATALOG_FILE (default config/carriers.json), so
+ *   regional carriers are added by editing config, not code
+ * - Used by request validation, by ooklaHelpers.configureCarriers (every
+ *   catalog carrier not requested is unchecked) and by GET /api/carriers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_FILE = process.env.CARRIER_CATALOG_FILE || path.join(__dirname, '..', 'config', 'carriers.json');
+
+let carriers = null;
+
+function loadCatalog() {
+    let catalog;
+    try {
+        catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load carrier catalog ${CATALOG_FILE}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(catalog) ? catalog : catalog.carriers;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error(`Carrier catalog ${CATALOG_FILE} must list at least one carrier`);
+    }
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        const label = typeof entry?.label === 'string' ? entry.label.trim() : '';
+        if (!name || !label) {
+            throw new Error(`Carrier catalog ${CATALOG_FILE}: entry ${index + 1} needs a name and an Ookla label`);
+        }
+        if (seen.has(name)) {
+            throw new Error(`Carrier catalog ${CATALOG_FILE}: duplicate carrier ${name}`);
+        }
+        seen.add(name);
+        return { name, label };
+    });
+}
+
+/**
+ * @returns {Object[]} [{ name, label }] in catalog order
+ */
+function getCarriers() {
+    if (!carriers) {
+        carriers = loadCatalog();
+        console.log(`  [Carriers] Loaded ${carriers.length} carrier(s) from ${CATALOG_FILE}`);
+    }
+    return carriers;
+}
+
+/**
+ * Validate requested carrier names
+ * @param {string[]} names
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateCarriers(names) {
+    const validNames = getCarriers().map(carrier => carrier.name);
+    const invalid = names.filter(name => !validNames.includes(name));
+    return invalid.length > 0
+        ? [`Invalid carriers: ${invalid.join(', ')}. Valid options: ${validNames.join(', ')}`]
+        : [];
+}
+
+module.exports = {
+    getCarriers,
+    validateCarriers
+};
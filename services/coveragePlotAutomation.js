@@ -0,0 +1,298 @@
+/**
+ * Coverage Plot Automation Service
+ *
+ * This service handles the Coverage Plot automation.
+ * It captures Indoor, Outdoor and/or Indoor & Outdoor view screenshots
+ * from Ookla Cell Analytics, depending on the requested coverage types,
+ * one set per requested technology and metric (LTE RSRP by default).
+ *
+ * Separation of Concerns:
+ * - This service is independent from ROM automation
+ * - Declared as a workflow of shared Ookla steps (ooklaSteps) executed by
+ *   workflowRunner; the capture steps depend on the requested coverage types
+ * - One code path serves both the streaming and non-streaming routes;
+ *   progress is reported through an optional sendProgress callback
+ */
+
+const ooklaSteps = require('./ooklaSteps');
+const batchAutomation = require('./batchAutomation');
+const resultCache = require('./resultCache');
+const carrierCatalog = require('./carrierCatalog');
+const { pickCaptureOptions, resolveCaptureOptions, validateCaptureOptions } = require('./captureOptions');
+const { pickLocation, resolveLocation, validateLocation } = require('./venueLocation');
+const { runWorkflow } = require('./workflowRunner');
+
+// Coverage types the frontend can request, in capture order
+const COVERAGE_VIEWS = [
+    {
+        coverageType: 'Indoor',
+        name: 'captureIndoor',
+        label: 'indoor view',
+        fileTag: 'ookla_INDOOR',
+        viewNames: ['Indoor View']
+    },
+    {
+        coverageType: 'Outdoor',
+        name: 'captureOutdoor',
+        label: 'outdoor view',
+        fileTag: 'ookla_OUTDOOR',
+        viewNames: ['Outdoor View']
+    },
+    {
+        coverageType: 'Indoor & Outdoor',
+        name: 'captureIndoorOutdoor',
+        label: 'indoor & outdoor view',
+        fileTag: 'ookla_OUTDOOR_INDOOR',
+        // Ookla has labelled this option differently over time
+        viewNames: [
+            'Outdoor & Indoor',
+            'Indoor & Outdoor',
+            'Outdoor and Indoor',
+            'Indoor and Outdoor',
+            'Indoor & Outdoor View',
+            'Outdoor & Indoor View'
+        ]
+    }
+];
+const COVERAGE_TYPES = COVERAGE_VIEWS.map(v => v.coverageType);
+
+/**
+ * Build the workflow for the requested coverage types, technologies and metrics
+ * @param {string[]} coverageTypes
+ * @param {Object} capture - Resolved capture options { technologies, metrics, perCarrier, zoom, baseLayer, dateRange }
+ * @param {string[]} carriers - Requested carriers (one capture each in perCarrier mode)
+ * @returns {Object} Workflow definition
+ */
+function buildWorkflow(coverageTypes, capture, carriers) {
+    const views = COVERAGE_VIEWS.filter(v => coverageTypes?.includes(v.coverageType));
+
+    return {
+        name: 'COVERAGE PLOT AUTOMATION',
+        steps: [
+            ...ooklaSteps.MAP_SETUP_STEPS,
+            ...ooklaSteps.buildCaptureSteps(capture, views, carriers)
+        ]
+    };
+}
+
+function toCacheSettings(location, capture, carriers, coverageTypes) {
+    return { address: location.label, center: location.center, bounds: location.bounds, carriers, coverageTypes, ...capture };
+}
+
+/**
+ * Look up a recent capture with the same settings (see resultCache)
+ * @param {Object} params - Same as executeCoveragePlot
+ * @returns {Promise<Object|null>} The cached result, or null on a miss or with forceRefresh
+ */
+async function lookupCachedCoveragePlot({ address, carriers, coverageTypes, legacyBase64, forceRefresh, ...options }) {
+    if (forceRefresh) return null;
+    const settings = toCacheSettings(resolveLocation({ address, ...options }), resolveCaptureOptions(options), carriers, coverageTypes);
+    return resultCache.lookup('coverage-plot', settings, { legacyBase64 });
+}
+
+/**
+ * Execute Coverage Plot automation
+ * @param {Object} params - Automation parameters
+ * @param {string} [params.address] - The address to analyze (optional label when lat/lng are given)
+ * @param {number} [params.lat] - Latitude to center on instead of searching the address
+ * @param {number} [params.lng] - Longitude
+ * @param {number} [params.radius] - Meters around lat/lng to frame
+ * @param {Object} [params.bounds] - { north, south, east, west } box to frame, containing lat/lng
+ * @param {string[]} params.carriers - Array of carrier names (e.g., ['AT&T', 'Verizon'])
+ * @param {string[]} [params.coverageTypes] - Any of 'Indoor', 'Outdoor', 'Indoor & Outdoor'
+ * @param {boolean} [params.legacyBase64] - Also embed each screenshot as base64 (legacy response format)
+ * @param {boolean} [params.forceRefresh] - Capture again even if a cached result exists
+ * @param {string} [params.technology] - 'LTE' (default), '5G NR' or 'both'
+ * @param {string[]} [params.metrics] - Metrics, one screenshot set each per technology (default ['RSRP'])
+ * @param {boolean} [params.perCarrier] - One screenshot set per carrier instead of all carriers on one map
+ * @param {number|string} [params.zoom] - Leaflet zoom level or preset ('campus', 'block', 'building')
+ * @param {string} [params.baseLayer] - Map layer label (default 'Day'), e.g. 'Night' or 'Satellite'
+ * @param {string|Object} [params.dateRange] - Data period: a preset ('last30days', 'last90days',
+ *   'last6months', 'last12months') or { start, end } as YYYY-MM-DD (default: Ookla's window)
+ * @param {Function} [sendProgress] - (progress, step, data?) => void, called at each step;
+ *   data is { status: 'queued', position } while waiting for a free automation slot
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting cancels the run; it then rejects with a CANCELLED error
+ * @param {Object} [options.checkpoint] - Resume a failed run: keeps its screenshots and
+ *   skips the captures it completed (login and map setup are replayed)
+ * @param {Object} [options.lease] - Browser session shared by a batch (which also holds the automation slot)
+ * @returns {Promise<Object>} Result with screenshots (labelled with technology and metric),
+ *   dateRange (the data period applied, null for Ookla's default), warnings and cache: { hit, capturedAt, expiresAt }; on failure the error carries a checkpoint
+ */
+async function executeCoveragePlot({ address, carriers, coverageTypes, legacyBase64, forceRefresh, ...options }, sendProgress = () => { }, { signal, checkpoint, lease } = {}) {
+    const capture = resolveCaptureOptions(options);
+    // Presets resolve to today's dates: a resumed run keeps the period of its first run
+    if (checkpoint) capture.dateRange = checkpoint.dateRange ?? capture.dateRange;
+    const location = resolveLocation({ address, ...options });
+    console.log('Address:', address);
+    if (location.center) console.log('Coordinates:', location.center, location.bounds ? `bounds ${JSON.stringify(location.bounds)}` : '');
+    console.log('Carriers:', carriers);
+    console.log('Coverage types:', coverageTypes);
+    console.log('Technologies:', capture.technologies);
+    console.log('Metrics:', capture.metrics);
+    console.log('Per carrier:', capture.perCarrier);
+    console.log('Zoom:', capture.zoom ?? 'Ookla default');
+    console.log('Base layer:', capture.baseLayer);
+    console.log('Date range:', capture.dateRange ? `${capture.dateRange.start} to ${capture.dateRange.end}` : 'Ookla default');
+
+    const cacheSettings = toCacheSettings(location, capture, carriers, coverageTypes);
+    if (!forceRefresh && !checkpoint) {
+        const cached = await resultCache.lookup('coverage-plot', cacheSettings, { legacyBase64 });
+        if (cached) {
+            sendProgress(100, 'Using cached capture', { status: 'in_progress' });
+            return cached;
+        }
+    }
+
+    const ctx = ooklaSteps.createCaptureContext({ location, carriers, baseLayer: capture.baseLayer, dateRange: capture.dateRange, automationType: 'coverage-plot', lease, legacyBase64 }, checkpoint);
+    let timings, duration;
+    try {
+        ({ timings, duration } = await runWorkflow(buildWorkflow(coverageTypes, capture, carriers), ctx, {
+            sendProgress: (progress, step, data = {}) => {
+                sendProgress(progress, step, { status: data.status || 'in_progress', ...data });
+            },
+            signal,
+            slotHeld: Boolean(lease)
+        }));
+    } catch (error) {
+        if (error.code !== 'CANCELLED') {
+            error.checkpoint = ooklaSteps.toCheckpoint(ctx, error.failedStep);
+        }
+        throw error;
+    }
+
+    const { screenshots } = ctx;
+    console.log(`Screenshots captured: ${screenshots.length}`);
+    screenshots.forEach((ss, idx) => {
+        console.log(`  ${idx + 1}. ${ss.filename} - ${ss.size} KB`);
+    });
+    const totalSizeKB = (JSON.stringify(screenshots).length / 1024).toFixed(2);
+    console.log(`Total response size: ~${totalSizeKB} KB`);
+
+    return resultCache.store('coverage-plot', cacheSettings, {
+        success: true,
+        screenshots,
+        duration,
+        count: screenshots.length,
+        dateRange: ctx.dateRange,
+        warnings: ctx.warnings,
+        steps: timings
+    }, ctx.capturedAt);
+}
+
+// Optional, as before: without coverage types no view is captured
+function validateCoverageTypes(coverageTypes) {
+    if (coverageTypes === undefined) return [];
+    if (!Array.isArray(coverageTypes) || coverageTypes.length === 0) {
+        return ['Coverage types must be a non-empty array'];
+    }
+    const invalidTypes = coverageTypes.filter(type => !COVERAGE_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+        return [`Invalid coverage types: ${invalidTypes.join(', ')}. Valid options: ${COVERAGE_TYPES.join(', ')}`];
+    }
+    return [];
+}
+
+/**
+ * Validate Coverage Plot automation request
+ * @param {Object} params - Request parameters
+ * @returns {Object} Validation result
+ */
+function validateRequest({ address, carriers, coverageTypes, legacyBase64, forceRefresh, ...options }) {
+    const errors = [...validateLocation({ address, ...options })];
+
+    errors.push(...validateCoverageTypes(coverageTypes));
+
+    // Optional here: no carriers plots none of them
+    if (carriers !== undefined) {
+        if (!Array.isArray(carriers)) {
+            errors.push('Carriers must be an array');
+        } else {
+            errors.push(...carrierCatalog.validateCarriers(carriers));
+        }
+    }
+
+    if (options.perCarrier && !(Array.isArray(carriers) && carriers.length > 0)) {
+        errors.push('perCarrier requires at least one carrier');
+    }
+
+    if (legacyBase64 !== undefined && typeof legacyBase64 !== 'boolean') {
+        errors.push('legacyBase64 must be a boolean');
+    }
+
+    if (forceRefresh !== undefined && typeof forceRefresh !== 'boolean') {
+        errors.push('forceRefresh must be a boolean');
+    }
+
+    errors.push(...validateCaptureOptions(options));
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Execute Coverage Plot automation for many addresses on one browser session.
+ * Items without coverageTypes, technology or metrics use the batch-level ones.
+ * @param {Object} params
+ * @param {Object[]} params.items - [{ address and/or lat/lng, carriers, coverageTypes?, technology?, metrics? }]
+ * @param {string[]} [params.coverageTypes] - Default coverage types for every item
+ * @param {string} [params.technology] - Default technology for every item
+ * @param {string[]} [params.metrics] - Default metrics for every item
+ * @param {boolean} [params.perCarrier] - Default perCarrier mode for every item
+ * @param {number|string} [params.zoom] - Default zoom for every item
+ * @param {string} [params.baseLayer] - Default base layer for every item
+ * @param {string|Object} [params.dateRange] - Default date range for every item
+ * @param {boolean} [params.legacyBase64] - Also embed screenshots as base64
+ * @param {boolean} [params.forceRefresh] - Bypass the result cache for every item
+ * @param {Function} [sendProgress] - See batchAutomation.executeBatch
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} { success, total, succeeded, failed, duration, results } with results grouped by address
+ */
+function executeCoveragePlotBatch({ items, coverageTypes, legacyBase64, forceRefresh, ...batchOptions }, sendProgress, options) {
+    return batchAutomation.executeBatch(
+        items.map(item => ({
+            ...pickCaptureOptions(batchOptions),
+            ...pickCaptureOptions(item),
+            ...pickLocation(item),
+            address: item.address,
+            carriers: item.carriers,
+            coverageTypes: item.coverageTypes || coverageTypes,
+            legacyBase64,
+            forceRefresh
+        })),
+        (item, { sendProgress: itemSendProgress, ...itemOptions }) => executeCoveragePlot(item, itemSendProgress, itemOptions),
+        sendProgress,
+        { ...options, lookupItem: lookupCachedCoveragePlot }
+    );
+}
+
+/**
+ * Validate Coverage Plot batch request; items without coverageTypes are
+ * checked with the batch-level ones they will run with
+ * @param {Object} params - { items: [{ address, carriers, coverageTypes?, technology?, metrics? }], coverageTypes?, technology?, metrics? }
+ * @returns {Object} Validation result
+ */
+function validateBatchRequest({ items, coverageTypes, legacyBase64, forceRefresh, ...options }) {
+    const validation = batchAutomation.validateBatch(items, item => validateRequest({
+        ...pickCaptureOptions(options),
+        ...item,
+        coverageTypes: item.coverageTypes || coverageTypes,
+        legacyBase64,
+        forceRefresh
+    }));
+
+    if (coverageTypes !== undefined) {
+        validation.errors.unshift(...validateCoverageTypes(coverageTypes));
+        validation.isValid = validation.errors.length === 0;
+    }
+    return validation;
+}
+
+module.exports = {
+    executeCoveragePlot,
+    executeCoveragePlotBatch,
+    validateRequest,
+    validateBatchRequest
+};
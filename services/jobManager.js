@@ -0,0 +1,321 @@
+/**
+ * Job Manager Service
+ *
+ * Runs automations in the background so HTTP callers get a jobId immediately
+ * instead of holding the connection open for the whole Playwright run.
+ *
+ * Separation of Concerns:
+ * - Knows nothing about Ookla; job types are registered with their own
+ *   validate/run functions (see server.js)
+ * - Jobs are kept in memory; finished jobs are pruned after JOB_TTL_MINUTES
+ *   unless pinned (e.g. results of won deals), and beyond JOB_MAX_RECORDS the
+ *   oldest finished ones go first. Artifacts outlive their job records (see
+ *   retentionWorker)
+ * - Finished results keep artifact references only; legacyBase64 buffers are
+ *   dropped once the job's onFinished handler has run
+ * - A failed job keeps the checkpoint its automation attached to the error
+ *   (error.checkpoint) and can be resumed from it
+ */
+
+const crypto = require('crypto');
+const { isCancelled } = require('./cancellation');
+
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_JOB_RECORDS = parseInt(process.env.JOB_MAX_RECORDS, 10) || 1000;
+
+const jobTypes = new Map();
+const jobs = new Map();
+
+/**
+ * Register a job type
+ * @param {string} type - Job type name (e.g. 'rom', 'coverage-plot')
+ * @param {Object} handler
+ * @param {Function} handler.validate - (params) => { isValid, errors }
+ * @param {Function} handler.run - (params, sendProgress, { signal, checkpoint }) => Promise<Object>;
+ *   sendProgress(progress, step, data?) where data.status === 'queued' means still waiting for a slot,
+ *   signal is aborted when the job is cancelled and checkpoint is set when resuming
+ */
+function registerJobType(type, { validate, run }) {
+    jobTypes.set(type, { validate, run });
+}
+
+/**
+ * @returns {string[]} Registered job type names
+ */
+function getJobTypes() {
+    return Array.from(jobTypes.keys());
+}
+
+/**
+ * Validate job parameters against the registered job type
+ * @param {string} type - Job type name
+ * @param {Object} params - Automation parameters
+ * @returns {Object} Validation result
+ */
+function validateJob(type, params) {
+    const handler = jobTypes.get(type);
+    if (!handler) {
+        return {
+            isValid: false,
+            errors: [`Invalid job type: ${type}. Valid options: ${getJobTypes().join(', ')}`]
+        };
+    }
+    return handler.validate(params);
+}
+
+/**
+ * Create a job and start it in the background
+ * @param {string} type - Job type name
+ * @param {Object} params - Automation parameters
+ * @param {Object} [options]
+ * @param {Function} [options.onFinished] - (job) => void; called each time a run of the job
+ *   ends (completed, failed or cancelled), including runs started by resumeJob
+ * @returns {Object} The created job
+ */
+function createJob(type, params, { onFinished = null } = {}) {
+    const handler = jobTypes.get(type);
+    if (!handler) {
+        throw new Error(`Invalid job type: ${type}`);
+    }
+
+    pruneExpiredJobs();
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        status: 'queued',
+        progress: 0,
+        step: 'Queued',
+        queuePosition: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        failedStep: null,
+        checkpoint: null,
+        resumeCount: 0,
+        pinned: false,
+        pinnedAt: null,
+        pinReason: null,
+        controller: new AbortController(),
+        onFinished
+    };
+    jobs.set(job.id, job);
+
+    setImmediate(() => runJob(job, handler));
+    return job;
+}
+
+/**
+ * Resume a failed job from its checkpoint. The job keeps its id; work the
+ * failed run completed (e.g. captured screenshots) is not repeated.
+ * @param {string} id - Job ID
+ * @returns {boolean} false if the job is not failed or has no checkpoint
+ */
+function resumeJob(id) {
+    const job = jobs.get(id);
+    if (!job || !isResumable(job)) {
+        return false;
+    }
+
+    console.log(`Resuming job ${job.id} (${job.type}) from step "${job.failedStep}"...`);
+    Object.assign(job, {
+        status: 'queued',
+        step: 'Resuming...',
+        queuePosition: null,
+        finishedAt: null,
+        error: null,
+        resumeCount: job.resumeCount + 1,
+        controller: new AbortController()
+    });
+
+    setImmediate(() => runJob(job, jobTypes.get(job.type)));
+    return true;
+}
+
+function isResumable(job) {
+    return job.status === 'failed' && Boolean(job.checkpoint);
+}
+
+async function runJob(job, handler) {
+    // Automations report { status: 'queued', position } while waiting for a slot
+    const sendProgress = (progress, step, data = {}) => {
+        if (data.status === 'queued') {
+            job.queuePosition = data.position;
+        } else {
+            job.status = 'running';
+            job.queuePosition = null;
+            job.startedAt = job.startedAt || new Date().toISOString();
+        }
+        job.progress = Math.round(progress);
+        job.step = step;
+    };
+
+    try {
+        job.result = await handler.run(job.params, sendProgress, {
+            signal: job.controller.signal,
+            checkpoint: job.checkpoint
+        });
+        job.status = 'completed';
+        job.progress = 100;
+        job.step = 'Complete';
+        job.checkpoint = null;
+    } catch (error) {
+        if (isCancelled(error, job.controller.signal)) {
+            console.log(`Job ${job.id} (${job.type}) cancelled`);
+            job.status = 'cancelled';
+            job.step = 'Cancelled';
+            job.queuePosition = null;
+            return;
+        }
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        job.status = 'failed';
+        job.error = error.message;
+        job.failedStep = error.failedStep || null;
+        // Keep the previous checkpoint if this run failed before reaching a new one
+        job.checkpoint = error.checkpoint || job.checkpoint;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        if (job.onFinished) {
+            try {
+                job.onFinished(job);
+            } catch (error) {
+                console.error(`Job ${job.id} onFinished handler failed:`, error.message);
+            }
+        }
+        if (job.result) job.result = withoutBuffers(job.result);
+    }
+}
+
+// Artifact references without their base64 buffer, anywhere in a result (batches nest them)
+function withoutBuffers(value) {
+    if (Array.isArray(value)) return value.map(withoutBuffers);
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (key === 'buffer' && typeof value.artifactId === 'string') continue;
+        copy[key] = withoutBuffers(item);
+    }
+    return copy;
+}
+
+/**
+ * Cancel a queued or running job. The automation closes its browser and the
+ * job ends with status 'cancelled'.
+ * @param {string} id - Job ID
+ * @returns {boolean} false if the job has already finished
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || job.finishedAt) {
+        return false;
+    }
+
+    console.log(`Cancelling job ${job.id} (${job.type})...`);
+    job.step = 'Cancelling...';
+    job.controller.abort();
+    return true;
+}
+
+/**
+ * Pin or unpin a job; pinned jobs are never pruned
+ * @param {string} id - Job ID
+ * @param {boolean} pinned
+ * @param {string} [reason] - e.g. the won deal it belongs to
+ * @returns {Object|null} The job, or null if unknown
+ */
+function setJobPinned(id, pinned, reason = null) {
+    const job = jobs.get(id);
+    if (!job) {
+        return null;
+    }
+
+    job.pinned = pinned;
+    job.pinnedAt = pinned ? new Date().toISOString() : null;
+    job.pinReason = pinned ? reason : null;
+    return job;
+}
+
+/**
+ * @param {string} id - Job ID
+ * @returns {Object|null} The job, or null if unknown or pruned
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Public status view of a job (without the result payload)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toJobStatus(job) {
+    return {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        step: job.step,
+        queuePosition: job.queuePosition,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        failedStep: job.failedStep,
+        resumable: isResumable(job),
+        resumeCount: job.resumeCount,
+        completedSteps: job.checkpoint ? job.checkpoint.completedSteps : [],
+        pinned: job.pinned,
+        pinnedAt: job.pinnedAt,
+        pinReason: job.pinReason
+    };
+}
+
+/**
+ * Drop finished, unpinned jobs older than JOB_TTL_MINUTES, then the oldest
+ * finished, unpinned ones while more than JOB_MAX_RECORDS jobs are kept
+ * @returns {number} Number of jobs removed
+ */
+function pruneExpiredJobs() {
+    const now = Date.now();
+    let removed = 0;
+    // Map order is creation order, oldest first
+    for (const [id, job] of jobs) {
+        const prunable = !job.pinned && job.finishedAt;
+        if (prunable && (now - Date.parse(job.finishedAt) > JOB_TTL_MS || jobs.size > MAX_JOB_RECORDS)) {
+            jobs.delete(id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Job record counts, for storage reporting
+ * @returns {Object} { total, pinned, byType: { [type]: count } }
+ */
+function getJobStats() {
+    const stats = { total: jobs.size, pinned: 0, byType: {} };
+    for (const job of jobs.values()) {
+        if (job.pinned) stats.pinned++;
+        stats.byType[job.type] = (stats.byType[job.type] || 0) + 1;
+    }
+    return stats;
+}
+
+module.exports = {
+    registerJobType,
+    getJobTypes,
+    validateJob,
+    createJob,
+    cancelJob,
+    resumeJob,
+    setJobPinned,
+    getJob,
+    toJobStatus,
+    pruneExpiredJobs,
+    getJobStats
+};
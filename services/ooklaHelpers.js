@@ -5,7 +5,12 @@
  * Used by both Coverage Plot and ROM automation services.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { chromium } = require('playwright');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const carrierCatalog = require('./carrierCatalog');
 
 // ============== TIMING UTILITIES ==============
 
@@ -55,7 +60,13 @@ async function humanClick(page, locator) {
 
 // ============== BROWSER SETUP ==============
 
-async function createBrowserContext() {
+/**
+ * Launch Chromium and open a page
+ * @param {Object} [options]
+ * @param {Object} [options.storageState] - Saved cookies/localStorage to restore
+ * @returns {Promise<Object>} { browser, context, page }
+ */
+async function createBrowserContext({ storageState } = {}) {
     const browser = await chromium.launch({
         headless: true,
         slowMo: 50,
@@ -76,6 +87,7 @@ async function createBrowserContext() {
         timezoneId: 'America/New_York',
         geolocation: { longitude: -73.935242, latitude: 40.730610 },
         permissions: ['geolocation'],
+        ...(storageState ? { storageState } : {}),
     });
 
     await context.addInitScript(() => {
@@ -85,6 +97,30 @@ async function createBrowserContext() {
         window.chrome = { runtime: {} };
     });
 
+    // Leaflet keeps no registry of its maps; record each one so setMapZoom and
+    // centerMap can reach the coverage map (the largest one on the page)
+    await context.addInitScript(() => {
+        window.__coverageMap = () => {
+            const area = (m) => m.getContainer().offsetWidth * m.getContainer().offsetHeight;
+            const maps = (window.__leafletMaps || []).filter(m => m.getContainer().isConnected && area(m) > 0);
+            return maps.sort((a, b) => area(b) - area(a))[0] || null;
+        };
+
+        let leaflet;
+        Object.defineProperty(window, 'L', {
+            configurable: true,
+            get: () => leaflet,
+            set: (value) => {
+                if (value && value !== leaflet && value.Map && value.Map.addInitHook) {
+                    value.Map.addInitHook(function () {
+                        (window.__leafletMaps = window.__leafletMaps || []).push(this);
+                    });
+                }
+                leaflet = value;
+            }
+        });
+    });
+
     const page = await context.newPage();
     return { browser, context, page };
 }
@@ -130,40 +166,82 @@ async function loginToOokla(page) {
 
     const currentUrl = page.url();
     if (currentUrl.includes('/login')) {
-        throw new Error('Login failed - still on login page');
+        const error = new Error('Login failed - still on login page');
+        error.code = 'LOGIN_FAILED';
+        throw error;
     }
 
     console.log('  ✓ Login successful!');
     return true;
 }
 
-// ============== DAY VIEW SELECTION ==============
+/**
+ * Reload the Ookla dashboard so a reused page starts from a clean map
+ * (default layers, no address, no filters).
+ * @returns {Promise<boolean>} false if Ookla redirected to the login page
+ */
+async function resetMapState(page) {
+    await page.keyboard.press('Escape').catch(() => { });
+    await page.goto('https://cellanalytics.ookla.com/', {
+        waitUntil: 'domcontentloaded',
+        timeout: 45000,
+    });
+    await longWait(page);
 
-async function selectDayView(page) {
-    console.log('  Changing to Day view...');
-    try {
-        const layersToggle = page.locator('a.leaflet-control-layers-toggle[title="Layers"]');
-        await layersToggle.waitFor({ state: 'attached', timeout: 8000 });
-        await layersToggle.hover();
-        const dayRadioInput = page.locator('input[type="radio"].leaflet-control-layers-selector[name="leaflet-base-layers"]').nth(3);
-        await dayRadioInput.click({ force: true, timeout: 2000 });
-        console.log('  ✓ Day view selected');
-        await page.mouse.move(100, 100);
-    } catch (error) {
-        console.log('  Day view switch error, trying alternatives...');
-        try {
-            await page.evaluate(() => {
-                const radios = document.querySelectorAll('input[type="radio"].leaflet-control-layers-selector');
-                if (radios[3]) radios[3].click();
+    if (page.url().includes('/login')) {
+        return false;
+    }
+
+    console.log('  ✓ Map state reset');
+    return true;
+}
+
+// ============== BASE LAYER SELECTION ==============
+
+const BASE_LAYER_RADIOS = 'input[type="radio"].leaflet-control-layers-selector[name="leaflet-base-layers"]';
+
+/**
+ * Switch the map to a base layer, found by its label in the Leaflet layers control
+ * @param {Object} page
+ * @param {string} layerName - Layer label, e.g. 'Day', 'Night', 'Satellite' (case-insensitive)
+ * @returns {Promise<Object>} { applied, available } where available lists the layer labels on the page
+ */
+async function selectBaseLayer(page, layerName) {
+    console.log(`  Selecting ${layerName} base layer...`);
+
+    // Hovering expands the control so its radios can be clicked
+    const layersToggle = page.locator('a.leaflet-control-layers-toggle').first();
+    await layersToggle.waitFor({ state: 'attached', timeout: 8000 }).catch(() => { });
+    await layersToggle.hover({ timeout: 3000 }).catch(() => { });
+
+    const layers = await page.evaluate((selector) => Array.from(
+        document.querySelectorAll(selector),
+        radio => ({ label: (radio.closest('label')?.textContent || '').trim(), checked: radio.checked })
+    ), BASE_LAYER_RADIOS);
+    const available = layers.map(layer => layer.label);
+    const index = available.findIndex(label => label.toLowerCase() === layerName.toLowerCase());
+
+    let applied = false;
+    if (index === -1) {
+        console.log(`  Warning: No "${layerName}" base layer (available: ${available.join(', ') || 'none'})`);
+    } else {
+        const radio = page.locator(BASE_LAYER_RADIOS).nth(index);
+        if (!layers[index].checked) {
+            await radio.click({ force: true, timeout: 2000 }).catch(async () => {
+                await radio.evaluate(el => el.click()).catch(() => { });
             });
-            console.log('  ✓ Day view selected (via evaluate)');
-        } catch (e) {
-            console.log('  Note: Could not change to Day view');
         }
+        applied = await radio.isChecked().catch(() => false);
+        console.log(applied
+            ? `  ✓ ${available[index]} base layer selected`
+            : `  Warning: Could not select the ${available[index]} base layer`);
     }
+
+    await page.mouse.move(100, 100);
+    return { applied, available };
 }
 
-// ============== ADDRESS ENTRY ==============
+// ============== ADDRESS / COORDINATE ENTRY ==============
 
 async function enterAddress(page, address) {
     console.log('  Entering address:', address);
@@ -212,6 +290,112 @@ async function enterAddress(page, address) {
     await longWait(page);
 }
 
+/**
+ * Center the map on exact coordinates and pin them; frames bounds when given,
+ * otherwise keeps the current zoom
+ * @param {Object} page
+ * @param {Object} location - { center: { lat, lng }, bounds?: { north, south, east, west } }
+ * @returns {Promise<boolean>} false if no Leaflet map instance was found (nothing changed)
+ */
+async function centerMap(page, { center, bounds }) {
+    console.log(`  Centering map on ${center.lat}, ${center.lng}${bounds ? ' (framing bounds)' : ''}...`);
+
+    const centered = await page.evaluate(({ center, bounds }) => {
+        const map = window.__coverageMap && window.__coverageMap();
+        if (!map) return false;
+
+        if (bounds) {
+            map.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { animate: false });
+        } else {
+            map.setView([center.lat, center.lng], map.getZoom(), { animate: false });
+        }
+        // Stands in for the pin an address search drops
+        if (window.L && window.L.marker) {
+            window.L.marker([center.lat, center.lng]).addTo(map);
+        }
+        return true;
+    }, { center, bounds });
+
+    if (centered) {
+        console.log('  ✓ Map centered');
+        await longWait(page);
+    }
+    return centered;
+}
+
+// ============== DATE RANGE ==============
+
+const DATE_FIELD_INPUTS = 'input.v-datefield-textfield';
+
+// Ookla's date fields use the US format
+function toOoklaDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${month}/${day}/${year}`;
+}
+
+function fromOoklaDate(text) {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec((text || '').trim());
+    if (!match) return null;
+    const [, month, day, year] = match;
+    return `${year.length === 2 ? `20${year}` : year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+async function visibleDateFields(page) {
+    const fields = [];
+    for (const input of await page.locator(DATE_FIELD_INPUTS).all()) {
+        if (await input.isVisible().catch(() => false)) fields.push(input);
+    }
+    return fields;
+}
+
+/**
+ * Set the start and end dates of Ookla's date filter (expanding the Date
+ * node of the filter panel if its fields are hidden)
+ * @param {Object} page
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @returns {Promise<Object>} { applied, start, end } where start and end are the dates
+ *   the fields show afterwards (YYYY-MM-DD, null if unreadable)
+ */
+async function setDateRange(page, { start, end }) {
+    console.log(`  Setting date range ${start} to ${end}...`);
+
+    let fields = await visibleDateFields(page);
+    if (fields.length < 2) {
+        const dateNode = page.locator('text=/^\\s*Date( Range)?\\s*$/i').first();
+        if (await dateNode.count() > 0) {
+            await humanClick(page, dateNode).catch(() => { });
+            await mediumWait(page);
+            fields = await visibleDateFields(page);
+        }
+    }
+    if (fields.length < 2) {
+        console.log(`  Warning: Found ${fields.length} date fields, expected a start and an end`);
+        return { applied: false, start: null, end: null };
+    }
+
+    const [startInput, endInput] = fields;
+    for (const [input, value] of [[startInput, start], [endInput, end]]) {
+        await input.click({ clickCount: 3 });
+        await input.press('Backspace');
+        await humanTypeLocator(input, toOoklaDate(value), page);
+        // Vaadin commits a date field when it loses focus
+        await input.press('Tab');
+        await shortWait(page);
+    }
+    await page.keyboard.press('Escape').catch(() => { });
+    await longWait(page);
+
+    const shown = {
+        start: fromOoklaDate(await startInput.inputValue().catch(() => '')),
+        end: fromOoklaDate(await endInput.inputValue().catch(() => ''))
+    };
+    const applied = shown.start === start && shown.end === end;
+    console.log(applied
+        ? '  ✓ Date range set'
+        : `  Warning: Date fields show ${shown.start || '?'} to ${shown.end || '?'}`);
+    return { applied, ...shown };
+}
+
 // ============== NETWORK PROVIDER ==============
 
 async function openNetworkProvider(page) {
@@ -285,11 +469,11 @@ async function openNetworkProvider(page) {
 
 // ============== CARRIER SELECTION ==============
 
+// Checks the requested carriers and unchecks every other catalog carrier
 async function configureCarriers(page, carriersToSelect) {
     console.log('  Configuring carriers...');
-    const allCarriers = { 'AT&T': 'AT&T US', 'Verizon': 'Verizon', 'T-Mobile': 'T-Mobile US' };
 
-    for (const [userName, siteName] of Object.entries(allCarriers)) {
+    for (const { name: userName, label: siteName } of carrierCatalog.getCarriers()) {
         try {
             let found = false;
 
@@ -354,12 +538,28 @@ async function configureCarriers(page, carriersToSelect) {
     await mediumWait(page);
 }
 
-// ============== LTE SECTION ==============
+// ============== TECHNOLOGY SECTIONS ==============
+
+// Technology nodes of the network provider tree, with the caption Ookla uses
+// for each metric under them
+const TECHNOLOGIES = {
+    'LTE': {
+        section: 'LTE',
+        metrics: { RSRP: 'RSRP', RSRQ: 'RSRQ', SNR: 'SNR', CQI: 'CQI' }
+    },
+    '5G NR': {
+        section: '5G NR',
+        metrics: { RSRP: 'SS-RSRP', RSRQ: 'SS-RSRQ', SNR: 'SS-SINR' }
+    }
+};
+
+const METRIC_CAPTIONS = Object.values(TECHNOLOGIES).flatMap(t => Object.values(t.metrics));
 
-async function openLTESection(page) {
-    console.log('  Opening LTE options...');
+async function openTechnologySection(page, technology) {
+    const { section } = TECHNOLOGIES[technology];
+    console.log(`  Opening ${section} options...`);
 
-    let lteOpened = false;
+    let sectionOpened = false;
 
     for (let attempt = 1; attempt <= 3; attempt++) {
         try {
@@ -368,32 +568,32 @@ async function openLTESection(page) {
                 await page.waitForTimeout(2000);
             }
 
-            const toggle1 = page.locator('text=LTE').locator('..').locator('span').first();
+            const toggle1 = page.locator(`text=${section}`).locator('..').locator('span').first();
             if (await toggle1.count() > 0) {
                 await toggle1.click({ force: true, timeout: 10000 });
-                lteOpened = true;
-                console.log('  ✓ LTE section opened (method 1)');
+                sectionOpened = true;
+                console.log(`  ✓ ${section} section opened (method 1)`);
                 break;
             }
         } catch (e1) {
             console.log(`  Method 1 failed: ${e1.message}`);
 
             try {
-                const toggle2 = page.locator('text=LTE').locator('..');
+                const toggle2 = page.locator(`text=${section}`).locator('..');
                 if (await toggle2.count() > 0) {
                     await toggle2.click({ force: true, timeout: 10000 });
-                    lteOpened = true;
-                    console.log('  ✓ LTE section opened (method 2)');
+                    sectionOpened = true;
+                    console.log(`  ✓ ${section} section opened (method 2)`);
                     break;
                 }
             } catch (e2) {
                 console.log(`  Method 2 failed: ${e2.message}`);
 
                 try {
-                    const result = await page.evaluate(() => {
+                    const result = await page.evaluate((sectionText) => {
                         const elements = document.querySelectorAll('*');
                         for (const el of elements) {
-                            if (el.textContent && el.textContent.trim() === 'LTE') {
+                            if (el.textContent && el.textContent.trim() === sectionText) {
                                 const toggle = el.querySelector('.v-treetable-treespacer, .v-treetable-node-closed, span');
                                 if (toggle) {
                                     toggle.click();
@@ -404,11 +604,11 @@ async function openLTESection(page) {
                             }
                         }
                         return { success: false };
-                    });
+                    }, section);
 
                     if (result.success) {
-                        lteOpened = true;
-                        console.log('  ✓ LTE section opened (evaluate)');
+                        sectionOpened = true;
+                        console.log(`  ✓ ${section} section opened (evaluate)`);
                         break;
                     }
                 } catch (e3) {
@@ -418,44 +618,53 @@ async function openLTESection(page) {
         }
     }
 
-    if (!lteOpened) {
-        throw new Error('Could not open LTE section after 3 attempts');
+    if (!sectionOpened) {
+        throw new Error(`Could not open ${section} section after 3 attempts`);
     }
 
     await longWait(page);
 }
 
-// ============== RSRP SELECTION ==============
+// ============== METRIC SELECTION ==============
 
-async function selectRSRP(page) {
-    console.log('  Selecting RSRP...');
-    try {
-        const rsrpRow = page.locator('tr').filter({ has: page.locator('span.v-captiontext:has-text("RSRP")') });
-        const rsrpCheckbox = rsrpRow.locator('input[type="checkbox"]').first();
-        await rsrpCheckbox.waitFor({ state: 'attached', timeout: 15000 });
-        if (!(await rsrpCheckbox.isChecked())) {
-            await rsrpCheckbox.check({ force: true });
-            console.log('  ✓ RSRP checkbox selected');
-            await page.keyboard.press('Escape').catch(() => { });
-            await page.waitForTimeout(300);
-        }
-        await mediumWait(page);
-
-        // Uncheck other LTE metrics
-        const lteRows = page.locator('tr').filter({ has: page.locator('span.v-captiontext:text-matches("RSRQ|SNR|CQI", "i")') });
-        const rowCount = await lteRows.count();
-        for (let i = 0; i < rowCount; i++) {
-            const row = lteRows.nth(i);
-            const checkbox = row.locator('input[type="checkbox"]').first();
-            try {
-                if (await checkbox.isChecked()) {
-                    await checkbox.uncheck({ force: true });
-                    await shortWait(page);
-                }
-            } catch (e) { }
-        }
-    } catch (error) {
-        console.log('  Error with RSRP selection:', error.message);
+// Caption at the start of the row text, so "RSRP" does not match "SS-RSRP"
+function captionPattern(captions) {
+    return `^(${captions.join('|')})([^A-Za-z0-9-]|$)`;
+}
+
+/**
+ * Check one metric and uncheck every other metric of every technology, so the
+ * map shows only that metric. Throws if the metric's checkbox cannot be found,
+ * since the capture would otherwise be labelled with the wrong metric.
+ * @param {Object} page
+ * @param {string} caption - Metric caption (e.g. 'RSRP', 'SS-RSRP'), see TECHNOLOGIES
+ */
+async function selectMetric(page, caption) {
+    console.log(`  Selecting ${caption}...`);
+    const metricRow = page.locator('tr').filter({ has: page.locator(`span.v-captiontext:text-matches("${captionPattern([caption])}")`) });
+    const metricCheckbox = metricRow.locator('input[type="checkbox"]').first();
+    await metricCheckbox.waitFor({ state: 'attached', timeout: 15000 });
+    if (!(await metricCheckbox.isChecked())) {
+        await metricCheckbox.check({ force: true });
+        console.log(`  ✓ ${caption} checkbox selected`);
+        await page.keyboard.press('Escape').catch(() => { });
+        await page.waitForTimeout(300);
+    }
+    await mediumWait(page);
+
+    // Uncheck all other metrics
+    const others = METRIC_CAPTIONS.filter(c => c !== caption);
+    const otherRows = page.locator('tr').filter({ has: page.locator(`span.v-captiontext:text-matches("${captionPattern(others)}", "i")`) });
+    const rowCount = await otherRows.count();
+    for (let i = 0; i < rowCount; i++) {
+        const row = otherRows.nth(i);
+        const checkbox = row.locator('input[type="checkbox"]').first();
+        try {
+            if (await checkbox.isChecked()) {
+                await checkbox.uncheck({ force: true });
+                await shortWait(page);
+            }
+        } catch (e) { }
     }
     await mediumWait(page);
 }
@@ -732,6 +941,119 @@ async function selectView(page, viewName) {
     return false;
 }
 
+// ============== DATA EXPORT ==============
+
+const EXPORT_TIMEOUT_MS = parseInt(process.env.OOKLA_EXPORT_TIMEOUT_MS, 10) || 60000;
+
+async function firstVisible(locators) {
+    for (const locator of locators) {
+        if (await locator.isVisible().catch(() => false)) return locator;
+    }
+    return null;
+}
+
+async function rowsToXlsx(rows, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    rows.forEach(row => sheet.addRow(row));
+    if (rows.length > 0) sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Ookla's export button, then its format dialog if one opens
+async function downloadExport(page) {
+    const exportButton = await firstVisible([
+        page.locator('.v-button:has-text("Export")').first(),
+        page.locator('[title*="Export" i]').first(),
+        page.locator('text=/^\\s*Export( Data)?\\s*$/i').first()
+    ]);
+    if (!exportButton) {
+        console.log('  No export control found');
+        return null;
+    }
+
+    const downloadPromise = page.waitForEvent('download', { timeout: EXPORT_TIMEOUT_MS }).catch(() => null);
+    await humanClick(page, exportButton);
+
+    const dialog = page.locator('.v-window').last();
+    if (await dialog.waitFor({ state: 'visible', timeout: 3000 }).then(() => true).catch(() => false)) {
+        const excelOption = dialog.locator('label, .v-select-option, .v-filterselect-suggestpopup td').filter({ hasText: /xlsx|excel/i }).first();
+        if (await excelOption.count() > 0) {
+            await excelOption.click({ force: true }).catch(() => { });
+            await shortWait(page);
+        }
+        const confirmButton = dialog.locator('.v-button').filter({ hasText: /export|download/i }).first();
+        if (await confirmButton.count() > 0) {
+            await humanClick(page, confirmButton);
+        }
+    }
+
+    const download = await downloadPromise;
+    if (!download) {
+        console.log(`  Warning: No download within ${EXPORT_TIMEOUT_MS / 1000}s`);
+        return null;
+    }
+
+    const filename = download.suggestedFilename();
+    const buffer = await fs.promises.readFile(await download.path());
+    console.log(`  ✓ Downloaded ${filename} (${(buffer.length / 1024).toFixed(2)} KB)`);
+
+    if (path.extname(filename).toLowerCase() === '.csv') {
+        return rowsToXlsx(parse(buffer, { bom: true, relax_column_count: true }), 'Ookla Export');
+    }
+    return buffer;
+}
+
+// Largest data table on the page (Vaadin tables/grids or plain tables), header row first
+async function scrapeDataTable(page) {
+    return page.evaluate(() => {
+        const cellText = (cell) => (cell.textContent || '').trim();
+        const tables = [];
+
+        document.querySelectorAll('.v-table').forEach((table) => {
+            const header = Array.from(table.querySelectorAll('.v-table-header .v-table-caption-container'), cellText);
+            const rows = Array.from(table.querySelectorAll('.v-table-body tr'), tr => Array.from(tr.querySelectorAll('td'), cellText));
+            tables.push({ element: table, rows: [header, ...rows] });
+        });
+        document.querySelectorAll('table').forEach((table) => {
+            if (table.closest('.v-table')) return;
+            const rows = Array.from(table.querySelectorAll('tr'), tr => Array.from(tr.querySelectorAll('th, td'), cellText));
+            tables.push({ element: table, rows });
+        });
+
+        const candidates = tables
+            .filter(({ element }) => element.offsetWidth > 0 && element.offsetHeight > 0)
+            .map(({ rows }) => rows.filter(row => row.some(Boolean)))
+            .filter(rows => rows.length > 1);
+        return candidates.sort((a, b) => b.length - a.length)[0] || null;
+    });
+}
+
+/**
+ * Get the data behind the current map as an XLSX: Ookla's data export
+ * (CSV downloads are converted), or else the data table the page shows
+ * @param {Object} page
+ * @returns {Promise<Object|null>} { buffer, source } where source is 'export' or 'table';
+ *   null if Ookla offered neither
+ */
+async function exportData(page) {
+    console.log('  Exporting map data...');
+
+    const exported = await downloadExport(page);
+    if (exported) {
+        return { buffer: exported, source: 'export' };
+    }
+
+    const rows = await scrapeDataTable(page);
+    if (rows) {
+        console.log(`  ✓ Scraped data table (${rows.length - 1} rows)`);
+        return { buffer: await rowsToXlsx(rows, 'Ookla Data'), source: 'table' };
+    }
+
+    console.log('  Warning: No data export or data table found');
+    return null;
+}
+
 // ============== SCREENSHOT UTILITIES ==============
 
 async function closeOpenPopups(page) {
@@ -762,8 +1084,95 @@ async function closeOpenPopups(page) {
     console.log('    ✓ Page settled');
 }
 
-async function zoomIn(page, clicks = 4) {
-    console.log('  Zooming in skipped - using default map view.');
+// ============== MAP ZOOM ==============
+
+const TILE_TIMEOUT_MS = parseInt(process.env.MAP_TILE_TIMEOUT_MS, 10) || 20000;
+
+// Zoom level of the front tile layer, read from XYZ tile URLs (.../{z}/{x}/{y}.png)
+async function readTileZoom(page) {
+    return page.evaluate(() => {
+        const containers = Array.from(document.querySelectorAll('.leaflet-tile-container'))
+            .filter(c => c.querySelector('img.leaflet-tile'));
+        // Leaflet gives the current zoom level's container the highest z-index
+        containers.sort((a, b) => (parseInt(b.style.zIndex, 10) || 0) - (parseInt(a.style.zIndex, 10) || 0));
+        for (const container of containers) {
+            for (const tile of container.querySelectorAll('img.leaflet-tile')) {
+                const match = tile.src.match(/\/(\d{1,2})\/\d+\/\d+(@2x)?\.\w+/);
+                if (match) return parseInt(match[1], 10);
+            }
+        }
+        return null;
+    });
+}
+
+// Fallback when no Leaflet map instance was recorded: step the zoom buttons
+async function zoomWithControls(page, level) {
+    for (let clicks = 0; clicks < 25; clicks++) {
+        const current = await readTileZoom(page);
+        if (current === null) {
+            throw new Error('Could not read the map zoom level');
+        }
+        if (current === level) return current;
+
+        const button = page.locator(current < level ? 'a.leaflet-control-zoom-in' : 'a.leaflet-control-zoom-out').first();
+        const disabled = await button.evaluate(el => el.classList.contains('leaflet-disabled')).catch(() => true);
+        if (disabled) return current;
+
+        await button.click({ force: true });
+        await waitForMapTiles(page);
+    }
+    return readTileZoom(page);
+}
+
+/**
+ * Set the Leaflet map zoom around the current center
+ * @param {Object} page
+ * @param {number} level - Leaflet zoom level; the map clamps it to its own min/max
+ * @returns {Promise<number>} The zoom level the map ended up at
+ */
+async function setMapZoom(page, level) {
+    console.log(`  Setting map zoom to ${level}...`);
+
+    let zoom = await page.evaluate((target) => {
+        const map = window.__coverageMap && window.__coverageMap();
+        if (!map) return null;
+        map.setZoom(target, { animate: false });
+        return map.getZoom();
+    }, level);
+
+    if (zoom === null) {
+        console.log('    No Leaflet map instance found - using zoom controls');
+        zoom = await zoomWithControls(page, level);
+    }
+
+    if (zoom !== level) {
+        console.log(`    Warning: Map zoom limited to ${zoom}`);
+    } else {
+        console.log(`    ✓ Map zoom ${zoom}`);
+    }
+    return zoom;
+}
+
+/**
+ * Wait until every map tile has loaded (no zoom animation running)
+ * @param {Object} page
+ * @param {number} [timeout] - Defaults to MAP_TILE_TIMEOUT_MS
+ * @throws {Error} If tiles are still loading after the timeout
+ */
+async function waitForMapTiles(page, timeout = TILE_TIMEOUT_MS) {
+    try {
+        await page.waitForFunction(() => {
+            if (document.querySelector('.leaflet-zoom-anim')) return false;
+            const tiles = Array.from(document.querySelectorAll('.leaflet-tile'));
+            // Failed image tiles count as done (complete), or we would wait forever
+            return tiles.length > 0 && tiles.every(t => t.classList.contains('leaflet-tile-loaded') || (t.tagName === 'IMG' && t.complete));
+        }, null, { timeout, polling: 250 });
+    } catch (e) {
+        throw new Error(`Map tiles still loading after ${timeout / 1000}s`);
+    }
+    // Let the tile fade-in finish
+    await page.waitForTimeout(400);
+    console.log('    ✓ Map tiles loaded');
 }
 
 async function collapseSidebar(page) {
@@ -886,17 +1295,23 @@ module.exports = {
     
     // Ookla operations
     loginToOokla,
-    selectDayView,
+    resetMapState,
+    selectBaseLayer,
     enterAddress,
+    centerMap,
+    setDateRange,
     openNetworkProvider,
     configureCarriers,
-    openLTESection,
-    selectRSRP,
+    TECHNOLOGIES,
+    openTechnologySection,
+    selectMetric,
     selectView,
+    exportData,
     
     // Screenshot utilities
     closeOpenPopups,
-    zoomIn,
+    setMapZoom,
+    waitForMapTiles,
     collapseSidebar,
     expandSidebar,
     takeScreenshot
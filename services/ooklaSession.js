@@ -0,0 +1,148 @@
+/**
+ * Ookla Session Persistence
+ *
+ * Saves the cookies/localStorage of a successful Ookla login (Playwright
+ * storageState) so new browser contexts can skip the typed login form.
+ *
+ * Separation of Concerns:
+ * - The state file is encrypted at rest with AES-256-GCM; the key is derived
+ *   from OOKLA_SESSION_SECRET. Without a secret nothing is persisted.
+ * - A quick probe checks whether the restored session is still accepted and
+ *   falls back to the full loginToOokla() only when it has expired
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ooklaHelpers = require('./ooklaHelpers');
+
+const SESSION_FILE = process.env.OOKLA_SESSION_FILE || path.join(__dirname, '..', '.sessions', 'ookla-state.enc');
+const SECRET = process.env.OOKLA_SESSION_SECRET || '';
+
+let warnedNoSecret = false;
+
+function isEnabled() {
+    if (!SECRET && !warnedNoSecret) {
+        warnedNoSecret = true;
+        console.log('  Note: OOKLA_SESSION_SECRET not set - Ookla sessions will not be persisted');
+    }
+    return Boolean(SECRET);
+}
+
+function getKey() {
+    return crypto.createHash('sha256').update(SECRET).digest();
+}
+
+// ============== ENCRYPTION ==============
+
+function encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return JSON.stringify({
+        v: 1,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    });
+}
+
+function decrypt(payload) {
+    const { iv, tag, data } = JSON.parse(payload);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ============== STORAGE STATE ==============
+
+/**
+ * Load the saved storageState
+ * @returns {Object|undefined} Playwright storageState, or undefined if none/unreadable
+ */
+function loadStorageState() {
+    if (!isEnabled() || !fs.existsSync(SESSION_FILE)) {
+        return undefined;
+    }
+
+    try {
+        return JSON.parse(decrypt(fs.readFileSync(SESSION_FILE, 'utf8')));
+    } catch (error) {
+        console.log(`  Note: Could not read saved Ookla session (${error.message}), discarding it`);
+        clearStorageState();
+        return undefined;
+    }
+}
+
+/**
+ * Save the storageState of a logged-in context
+ * @param {import('playwright').BrowserContext} context
+ */
+async function saveStorageState(context) {
+    if (!isEnabled()) return;
+
+    try {
+        const state = await context.storageState();
+        fs.mkdirSync(path.dirname(SESSION_FILE), { recursive: true });
+        fs.writeFileSync(SESSION_FILE, encrypt(JSON.stringify(state)), { mode: 0o600 });
+        console.log('  ✓ Ookla session saved');
+    } catch (error) {
+        console.error('  Warning: Could not save Ookla session:', error.message);
+    }
+}
+
+function clearStorageState() {
+    try {
+        fs.unlinkSync(SESSION_FILE);
+    } catch (e) { }
+}
+
+// ============== LOGIN ==============
+
+/**
+ * Quick validity probe: open the dashboard and see whether Ookla bounces us
+ * to the login page.
+ * @returns {Promise<boolean>}
+ */
+async function probeSession(page) {
+    console.log('  Probing saved Ookla session...');
+    try {
+        await page.goto('https://cellanalytics.ookla.com/', {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000,
+        });
+        await page.waitForURL('**/login**', { timeout: 3000 }).catch(() => { });
+        return !page.url().includes('/login');
+    } catch (error) {
+        console.log(`  Session probe failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Make sure the page is logged in, preferring the restored session.
+ * @param {import('playwright').Page} page
+ * @param {import('playwright').BrowserContext} context
+ * @param {Object} [options]
+ * @param {boolean} [options.restored] - The context was created from a saved storageState
+ * @returns {Promise<boolean>} true if the login form had to be used
+ */
+async function ensureLoggedIn(page, context, { restored = false } = {}) {
+    if (restored && await probeSession(page)) {
+        console.log('  ✓ Saved Ookla session is valid - skipping login form');
+        await ooklaHelpers.longWait(page);
+        return false;
+    }
+
+    await ooklaHelpers.loginToOokla(page);
+    await saveStorageState(context);
+    return true;
+}
+
+module.exports = {
+    loadStorageState,
+    saveStorageState,
+    clearStorageState,
+    probeSession,
+    ensureLoggedIn
+};
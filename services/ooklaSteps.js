@@ -0,0 +1,494 @@
+/**
+ * Ookla Workflow Steps
+ *
+ * Step definitions for the workflow runner, built on ooklaHelpers.
+ * Used by both Coverage Plot and ROM automation services.
+ *
+ * Steps read and write a shared ctx:
+ * - ctx.address, ctx.carriers, ctx.baseLayer   request parameters; ctx.address
+ *                               is the venue label (see venueLocation)
+ * - ctx.location                resolved coordinates, if any (venueLocation.resolveLocation)
+ * - ctx.dateRange               { preset, start, end } data period to filter on, or
+ *                               null for Ookla's default window
+ * - ctx.lease, ctx.page         set by the session step (or ctx.lease passed
+ *                               in by a batch that shares one session)
+ * - ctx.screenshots             captured screenshots (artifact references), in order
+ * - ctx.excelFiles              data exports (artifact references, see exportDataStep)
+ * - ctx.legacyBase64            also keep each screenshot's base64 buffer
+ * - ctx.capturedAt              when the run started (ISO), kept when resuming
+ * - ctx.timestamp, ctx.sanitizedAddress  used in screenshot filenames
+ * - ctx.completedSteps          capture steps already done (see createCaptureContext)
+ * - ctx.warnings                problems that did not fail the run, returned with the result
+ *
+ * Capture steps (see buildCaptureSteps) open each requested technology
+ * section, select each metric and capture every view for it (once per
+ * carrier in perCarrier mode). Screenshot
+ * steps are checkpoints: a resumed run replays
+ * MAP_SETUP_STEPS on a fresh session and continues with the captures that had
+ * not completed.
+ */
+
+const ooklaHelpers = require('./ooklaHelpers');
+const browserPool = require('./browserPool');
+const artifactStore = require('./artifactStore');
+const { isCancelled } = require('./cancellation');
+const { isDefaultCapture } = require('./captureOptions');
+
+// Replayed setup steps (retries, resumes) must not repeat a warning, and a
+// timed-out attempt (aborted signal) must not add one
+function addWarning(ctx, message, signal) {
+    signal.throwIfAborted();
+    if (!ctx.warnings.includes(message)) {
+        console.log(`  Warning: ${message}`);
+        ctx.warnings.push(message);
+    }
+}
+
+// ============== MAP SETUP ==============
+
+const acquireSession = {
+    name: 'session',
+    label: 'Logging in...',
+    weight: 3,
+    timeout: 180000,
+    retries: 0,
+    run: async (ctx, { signal }) => {
+        if (!ctx.lease) {
+            const lease = await browserPool.acquire({ signal: ctx.signal });
+            // Nobody would release a session that arrives after a timeout
+            if (signal.aborted) {
+                await lease.release();
+                signal.throwIfAborted();
+            }
+            ctx.lease = lease;
+        }
+        ctx.page = ctx.lease.page;
+    }
+};
+
+// A layer that cannot be applied is a warning, not a failure: the map still works
+const selectBaseLayer = {
+    name: 'baseLayer',
+    label: 'Selecting base map layer...',
+    weight: 1,
+    timeout: 30000,
+    retries: 1,
+    run: async (ctx, { signal }) => {
+        const { applied, available } = await ooklaHelpers.selectBaseLayer(ctx.page, ctx.baseLayer);
+        if (!applied) {
+            const layers = available.length > 0 ? ` (available: ${available.join(', ')})` : '';
+            addWarning(ctx, `Base layer "${ctx.baseLayer}" could not be applied${layers}; screenshots use the current map layer`, signal);
+        }
+    }
+};
+
+// Address search, or exact coordinates (see venueLocation)
+const locateVenue = {
+    name: 'location',
+    label: 'Locating venue...',
+    weight: 2,
+    timeout: 60000,
+    retries: 1,
+    run: async (ctx, { signal }) => {
+        const { center } = ctx.location;
+        if (!center) {
+            await ooklaHelpers.enterAddress(ctx.page, ctx.address);
+        } else if (!(await ooklaHelpers.centerMap(ctx.page, ctx.location))) {
+            await ooklaHelpers.enterAddress(ctx.page, `${center.lat}, ${center.lng}`);
+            addWarning(ctx, 'Map could not be centered on the coordinates directly; they were searched in Ookla instead', signal);
+        }
+    }
+};
+
+// Unlike the base layer, a range that cannot be applied fails the run: the
+// screenshots would show a different data period than the result reports
+const selectDateRange = {
+    name: 'dateRange',
+    label: 'Setting date range...',
+    weight: 1,
+    timeout: 60000,
+    retries: 1,
+    run: async (ctx) => {
+        if (!ctx.dateRange) return;
+        const { start, end } = ctx.dateRange;
+        const shown = await ooklaHelpers.setDateRange(ctx.page, { start, end });
+        if (!shown.applied) {
+            throw new Error(`Could not set the date range to ${start} - ${end} (Ookla shows ${shown.start || '?'} - ${shown.end || '?'})`);
+        }
+    }
+};
+
+// Toggles the tree node and has its own 3 attempts, so no runner retries
+const openNetworkProvider = {
+    name: 'networkProvider',
+    label: 'Opening network provider...',
+    weight: 2,
+    timeout: 90000,
+    retries: 0,
+    run: (ctx) => ooklaHelpers.openNetworkProvider(ctx.page)
+};
+
+const configureCarriers = {
+    name: 'carriers',
+    label: 'Configuring carriers...',
+    weight: 2,
+    timeout: 60000,
+    retries: 1,
+    run: (ctx) => ooklaHelpers.configureCarriers(ctx.page, ctx.carriers || [])
+};
+
+// Login plus everything needed before the first technology section is opened
+const MAP_SETUP_STEPS = [
+    acquireSession,
+    selectBaseLayer,
+    locateVenue,
+    selectDateRange,
+    openNetworkProvider,
+    configureCarriers
+];
+
+// ============== CAPTURE ==============
+
+// A previous capture (or failed attempt) may have left the sidebar collapsed
+async function ensureSidebarExpanded(ctx) {
+    if (ctx.sidebarCollapsed) {
+        await ooklaHelpers.closeOpenPopups(ctx.page);
+        await ooklaHelpers.expandSidebar(ctx.page);
+        ctx.sidebarCollapsed = false;
+    }
+}
+
+// Screenshot filename labels per technology
+const TECHNOLOGY_FILE_TAGS = { 'LTE': 'LTE', '5G NR': '5GNR' };
+
+/**
+ * Build a step that expands a technology node of the network provider tree.
+ * It toggles the node and has its own 3 attempts, so no runner retries.
+ * @param {string} technology - Key of ooklaHelpers.TECHNOLOGIES
+ * @returns {Object} Step definition
+ */
+function openTechnologyStep(technology) {
+    return {
+        name: `section${TECHNOLOGY_FILE_TAGS[technology]}`,
+        label: `Opening ${technology} section...`,
+        weight: 2,
+        timeout: 90000,
+        retries: 0,
+        run: async (ctx) => {
+            await ensureSidebarExpanded(ctx);
+            await ooklaHelpers.openTechnologySection(ctx.page, technology);
+        }
+    };
+}
+
+/**
+ * Build a step that shows a single metric on the map
+ * @param {string} caption - Metric caption (e.g. 'RSRP', 'SS-RSRP')
+ * @returns {Object} Step definition
+ */
+function selectMetricStep(caption) {
+    return {
+        name: `metric${caption}`,
+        label: `Selecting ${caption}...`,
+        weight: 2,
+        timeout: 60000,
+        retries: 1,
+        run: async (ctx) => {
+            await ensureSidebarExpanded(ctx);
+            await ooklaHelpers.selectMetric(ctx.page, caption);
+        }
+    };
+}
+
+// Screenshot filename label for a carrier name (e.g. 'AT&T' -> 'ATT')
+function carrierFileTag(carrier) {
+    return carrier.replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Build a step that leaves a single carrier enabled (perCarrier mode)
+ * @param {string} carrier - Carrier name from the catalog
+ * @param {string} nameSuffix - Keeps step names unique per technology and metric
+ * @returns {Object} Step definition
+ */
+function selectCarrierStep(carrier, nameSuffix) {
+    return {
+        name: `carrier${carrierFileTag(carrier)}${nameSuffix}`,
+        label: `Showing only ${carrier}...`,
+        weight: 2,
+        timeout: 60000,
+        retries: 1,
+        run: async (ctx) => {
+            await ensureSidebarExpanded(ctx);
+            await ooklaHelpers.configureCarriers(ctx.page, [carrier]);
+        }
+    };
+}
+
+/**
+ * Select the first view name the VIEW dropdown accepts. Stops early when the
+ * page has no dropdowns at all, so we don't churn through every variation.
+ * @returns {Promise<boolean>}
+ */
+async function selectViewByNames(page, viewNames) {
+    if (viewNames.length === 1) {
+        return ooklaHelpers.selectView(page, viewNames[0]);
+    }
+
+    let dropdownChecked = false;
+    for (const viewName of viewNames) {
+        if (await ooklaHelpers.selectView(page, viewName)) {
+            return true;
+        }
+
+        if (!dropdownChecked) {
+            const canOpen = await page.evaluate(() => {
+                const inputs = document.querySelectorAll('input.v-filterselect-input.v-filterselect-input-readonly');
+                return inputs.length > 0;
+            }).catch(() => false);
+            if (!canOpen) {
+                console.log('  No readonly dropdowns found on page - skipping remaining name variations');
+                return false;
+            }
+            dropdownChecked = true;
+            await page.waitForTimeout(1000);
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Build a step that selects a VIEW and screenshots the map.
+ * Throws if the view cannot be selected, or if the tiles of a requested zoom
+ * do not load, so the runner retries it.
+ * @param {Object} options
+ * @param {string} options.name - Step name
+ * @param {string} options.label - Progress text
+ * @param {string[]} options.viewNames - VIEW dropdown option names to try, in order
+ * @param {string} options.fileTag - Screenshot filename prefix (e.g. 'rom_INDOOR', 'rom_INDOOR_5GNR_SS-RSRP')
+ * @param {string} options.technology - Technology shown on the map, recorded with the screenshot
+ * @param {string} options.metric - Metric caption shown on the map, recorded with the screenshot
+ * @param {string} [options.carrier] - The only carrier shown (perCarrier mode), recorded with the screenshot
+ * @param {number|null} options.zoom - Leaflet zoom level, null to keep the map's own
+ * @param {boolean} options.isLast - Leave the sidebar collapsed afterwards
+ * @returns {Object} Step definition
+ */
+function captureViewStep({ name, label, viewNames, fileTag, technology, metric, carrier, zoom, isLast }) {
+    return {
+        name,
+        label,
+        weight: 3,
+        timeout: 120000,
+        retries: 2,
+        checkpoint: true,
+        run: async (ctx, { signal }) => {
+            const { page } = ctx;
+            await ensureSidebarExpanded(ctx);
+
+            // Select view FIRST while sidebar is expanded
+            if (!(await selectViewByNames(page, viewNames))) {
+                throw new Error(`Could not select view "${viewNames[0]}"`);
+            }
+
+            // Then prepare (zoom + collapse) and take screenshot
+            if (!ctx.sidebarCollapsed) {
+                if (zoom !== null) await ooklaHelpers.setMapZoom(page, zoom);
+                await ooklaHelpers.collapseSidebar(page);
+                await ooklaHelpers.closeOpenPopups(page);
+                ctx.sidebarCollapsed = true;
+            }
+            // Only a requested zoom must be rendered; otherwise a slow tile
+            // server is reported and the map is captured as it is
+            try {
+                await ooklaHelpers.waitForMapTiles(page);
+            } catch (error) {
+                if (zoom !== null) throw error;
+                addWarning(ctx, `${error.message}; ${fileTag} captured anyway`, signal);
+            }
+
+            const screenshot = await ooklaHelpers.takeScreenshot(page, fileTag, ctx.sanitizedAddress, ctx.timestamp);
+            signal.throwIfAborted();
+            const reference = await artifactStore.saveScreenshot(screenshot, {
+                legacyBase64: ctx.legacyBase64,
+                metadata: { address: ctx.address, view: fileTag, technology, metric, carrier, zoom, dateRange: ctx.dateRange, automationType: ctx.automationType }
+            });
+            // A timed-out attempt must not add its screenshot
+            signal.throwIfAborted();
+            ctx.screenshots.push({ ...reference, technology, metric, ...(carrier && { carrier }) });
+
+            // Expand sidebar for next view selection
+            if (!isLast) {
+                await ooklaHelpers.expandSidebar(page);
+                ctx.sidebarCollapsed = false;
+            }
+        }
+    };
+}
+
+/**
+ * Build the capture steps: open each technology section, then for each metric
+ * select it and capture every view. In perCarrier mode every view is captured
+ * once per carrier, with only that carrier enabled. Filenames name the
+ * technology and metric unless only the default (LTE RSRP) is captured.
+ * @param {Object} captureOptions - { technologies, metrics, perCarrier, zoom } from captureOptions.resolveCaptureOptions
+ * @param {Object[]} views - [{ name, label, viewNames, fileTag }] where label
+ *   is e.g. 'indoor view' and fileTag the filename prefix (e.g. 'rom_INDOOR')
+ * @param {string[]} [carriers] - Requested carriers, needed for perCarrier mode
+ * @returns {Object[]} Step definitions
+ */
+function buildCaptureSteps({ technologies, metrics, perCarrier, zoom }, views, carriers = []) {
+    // null: all selected carriers together, as configured by MAP_SETUP_STEPS
+    const carrierGroups = perCarrier ? Array.from(new Set(carriers)) : [null];
+    const mapsPerMetric = carrierGroups.length * views.length;
+    const total = technologies.length * metrics.length * mapsPerMetric;
+    const tagCaptures = !isDefaultCapture({ technologies, metrics });
+    const steps = [];
+    let n = 0;
+
+    technologies.forEach((technology) => {
+        steps.push(openTechnologyStep(technology));
+        metrics.forEach((metric) => {
+            const caption = ooklaHelpers.TECHNOLOGIES[technology].metrics[metric];
+            const techTag = TECHNOLOGY_FILE_TAGS[technology];
+            steps.push(selectMetricStep(caption));
+            carrierGroups.forEach((carrier) => {
+                const carrierTag = carrier ? carrierFileTag(carrier) : '';
+                if (carrier) steps.push(selectCarrierStep(carrier, `${techTag}${metric}`));
+                views.forEach((view) => {
+                    n++;
+                    const carrierLabel = carrier ? ` ${carrier}` : '';
+                    const metricLabel = total > mapsPerMetric ? ` ${caption}` : '';
+                    steps.push(captureViewStep({
+                        name: `${view.name}${carrierTag}${techTag}${metric}`,
+                        label: `Capturing ${view.label}${carrierLabel}${metricLabel} (${n}/${total})...`,
+                        viewNames: view.viewNames,
+                        fileTag: [view.fileTag, carrierTag, ...(tagCaptures ? [techTag, caption] : [])].filter(Boolean).join('_'),
+                        technology,
+                        metric: caption,
+                        carrier,
+                        zoom,
+                        isLast: n === total
+                    }));
+                });
+            });
+        });
+    });
+
+    return steps;
+}
+
+/**
+ * Build a step that stores the data behind the last captured map (its
+ * technology and metric, with every requested carrier) as an XLSX in
+ * ctx.excelFiles. An export that fails is a warning: the screenshots are
+ * still delivered.
+ * @param {Object} captureOptions - { technologies, metrics, perCarrier } from captureOptions.resolveCaptureOptions
+ * @param {string} filePrefix - Filename prefix (e.g. 'rom_DATA')
+ * @returns {Object} Step definition
+ */
+function exportDataStep({ technologies, metrics, perCarrier }, filePrefix) {
+    const technology = technologies[technologies.length - 1];
+    const metric = ooklaHelpers.TECHNOLOGIES[technology].metrics[metrics[metrics.length - 1]];
+    const fileTag = isDefaultCapture({ technologies, metrics })
+        ? filePrefix
+        : [filePrefix, TECHNOLOGY_FILE_TAGS[technology], metric].join('_');
+
+    return {
+        name: 'exportData',
+        label: 'Exporting map data...',
+        weight: 2,
+        timeout: 150000,
+        retries: 0,
+        checkpoint: true,
+        run: async (ctx, { signal }) => {
+            try {
+                await ensureSidebarExpanded(ctx);
+                // perCarrier captures leave only the last carrier enabled
+                if (perCarrier) await ooklaHelpers.configureCarriers(ctx.page, ctx.carriers || []);
+
+                const exported = await ooklaHelpers.exportData(ctx.page);
+                signal.throwIfAborted();
+                if (!exported) {
+                    addWarning(ctx, 'Ookla offered no data export or data table; no Excel file was produced', signal);
+                    return;
+                }
+
+                const reference = await artifactStore.saveExcelFile({
+                    filename: `${fileTag}_${ctx.sanitizedAddress}_${ctx.timestamp}.xlsx`,
+                    buffer: exported.buffer
+                }, {
+                    legacyBase64: ctx.legacyBase64,
+                    metadata: { address: ctx.address, view: fileTag, technology, metric, carriers: ctx.carriers, source: exported.source, dateRange: ctx.dateRange, automationType: ctx.automationType }
+                });
+                signal.throwIfAborted();
+                ctx.excelFiles.push({ ...reference, technology, metric, source: exported.source });
+            } catch (error) {
+                if (isCancelled(error, ctx.signal) || signal.aborted) throw error;
+                addWarning(ctx, `Data export failed: ${error.message}`, signal);
+            }
+        }
+    };
+}
+
+/**
+ * Initial ctx for an Ookla capture workflow
+ * @param {Object} params - { location, carriers, baseLayer, dateRange, automationType, lease?, legacyBase64? };
+ *   location comes from venueLocation.resolveLocation (its label becomes ctx.address),
+ *   baseLayer and dateRange from captureOptions.resolveCaptureOptions, automationType ('rom', 'coverage-plot')
+ *   drives artifact retention, lease is a shared session (batches), legacyBase64 keeps base64
+ *   buffers in the screenshot references
+ * @param {Object} [checkpoint] - From a failed run (see toCheckpoint); its
+ *   screenshots, Excel files, warnings and completed steps are kept
+ * @returns {Object}
+ */
+function createCaptureContext({ location, carriers, baseLayer, dateRange = null, automationType, lease = null, legacyBase64 }, checkpoint = null) {
+    const address = location.label;
+    const capturedAt = checkpoint?.capturedAt || new Date().toISOString();
+    return {
+        address,
+        location,
+        carriers,
+        baseLayer,
+        dateRange,
+        automationType,
+        lease,
+        legacyBase64,
+        screenshots: checkpoint ? [...checkpoint.screenshots] : [],
+        excelFiles: checkpoint?.excelFiles ? [...checkpoint.excelFiles] : [],
+        completedSteps: checkpoint ? [...checkpoint.completedSteps] : [],
+        warnings: checkpoint?.warnings ? [...checkpoint.warnings] : [],
+        capturedAt,
+        timestamp: checkpoint?.timestamp || capturedAt.replace(/[:.]/g, '-'),
+        sanitizedAddress: address.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50),
+        sidebarCollapsed: false
+    };
+}
+
+/**
+ * Snapshot of a capture ctx that a later run can resume from
+ * @param {Object} ctx
+ * @param {string} [failedStep] - Name of the step that failed
+ * @returns {Object} { completedSteps, screenshots, excelFiles, warnings, dateRange, capturedAt, timestamp, failedStep }
+ */
+function toCheckpoint(ctx, failedStep = null) {
+    return {
+        completedSteps: [...ctx.completedSteps],
+        screenshots: [...ctx.screenshots],
+        excelFiles: [...ctx.excelFiles],
+        warnings: [...ctx.warnings],
+        dateRange: ctx.dateRange,
+        capturedAt: ctx.capturedAt,
+        timestamp: ctx.timestamp,
+        failedStep
+    };
+}
+
+module.exports = {
+    MAP_SETUP_STEPS,
+    buildCaptureSteps,
+    exportDataStep,
+    selectViewByNames,
+    createCaptureContext,
+    toCheckpoint
+};
@@ -0,0 +1,137 @@
+/**
+ * Result Cache Service
+ *
+ * Serves repeat captures of the same venue from stored screenshots instead of
+ * paying for another Ookla session.
+ *
+ * Separation of Concerns:
+ * - Entries are keyed on the automation type and its capture settings
+ *   (normalized address, sorted carriers, views/coverage types, capture options)
+ * - Entries live in memory for RESULT_CACHE_TTL_HOURS (0 disables caching);
+ *   only the newest RESULT_CACHE_MAX_ENTRIES are kept
+ * - Cached results hold artifact references only; screenshots and Excel files
+ *   stay in artifactStore, so an entry whose artifacts were purged is a miss
+ * - Callers bypass the cache with forceRefresh; every result carries
+ *   cache: { hit, capturedAt, expiresAt }
+ */
+
+const crypto = require('crypto');
+const artifactStore = require('./artifactStore');
+const { normalizeAddress } = require('./addressUtils');
+
+const TTL_HOURS = parseFloat(process.env.RESULT_CACHE_TTL_HOURS);
+const TTL_MS = (Number.isNaN(TTL_HOURS) ? 24 : TTL_HOURS) * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.RESULT_CACHE_MAX_ENTRIES, 10) || 500;
+
+// Result fields holding artifact references
+const ARTIFACT_FIELDS = ['screenshots', 'excelFiles'];
+
+const entries = new Map();
+
+/**
+ * Cache key for a capture
+ * @param {string} type - Automation type ('rom', 'coverage-plot')
+ * @param {Object} settings - { address, carriers, views, metrics, ... }; arrays are order-insensitive
+ * @returns {string}
+ */
+function buildKey(type, settings) {
+    const canonical = { type };
+    Object.keys(settings).sort().forEach(name => {
+        const value = settings[name];
+        if (name === 'address') {
+            canonical.address = normalizeAddress(value);
+        } else if (Array.isArray(value)) {
+            canonical[name] = Array.from(new Set(value)).sort();
+        } else if (value !== undefined) {
+            canonical[name] = value;
+        }
+    });
+    return crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex');
+}
+
+function toCacheInfo(entry, hit) {
+    return {
+        hit,
+        capturedAt: entry.capturedAt,
+        expiresAt: new Date(Date.parse(entry.capturedAt) + TTL_MS).toISOString()
+    };
+}
+
+async function artifactsAvailable(result) {
+    for (const field of ARTIFACT_FIELDS) {
+        for (const reference of result[field] || []) {
+            if (!(await artifactStore.hasArtifact(reference.artifactId))) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Look up a cached result
+ * @param {string} type - Automation type
+ * @param {Object} settings - Capture settings (see buildKey)
+ * @param {Object} [options]
+ * @param {boolean} [options.legacyBase64] - Re-embed each screenshot and Excel file as base64 from the artifact store
+ * @returns {Promise<Object|null>} The cached result with cache info, or null on a miss
+ */
+async function lookup(type, settings, { legacyBase64 } = {}) {
+    if (TTL_MS <= 0) return null;
+
+    const key = buildKey(type, settings);
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - Date.parse(entry.capturedAt) > TTL_MS || !(await artifactsAvailable(entry.result))) {
+        entries.delete(key);
+        return null;
+    }
+
+    const result = { ...entry.result };
+    if (legacyBase64) {
+        for (const field of ARTIFACT_FIELDS.filter(name => result[name])) {
+            const contents = await Promise.all(result[field].map(reference => artifactStore.readArtifact(reference.artifactId)));
+            // Retention may purge an artifact after the availability check
+            if (contents.includes(null)) {
+                entries.delete(key);
+                return null;
+            }
+            result[field] = result[field].map((reference, idx) => ({ ...reference, buffer: contents[idx].toString('base64') }));
+        }
+    }
+
+    console.log(`  [Cache] Hit for ${type} "${settings.address}" (captured ${entry.capturedAt})`);
+    return { ...result, cache: toCacheInfo(entry, true) };
+}
+
+/**
+ * Store a fresh result
+ * @param {string} type - Automation type
+ * @param {Object} settings - Capture settings (see buildKey)
+ * @param {Object} result - Automation result with screenshots (and excelFiles, if any)
+ * @param {string} capturedAt - When the run started (ISO, ctx.capturedAt); kept across resumes
+ * @returns {Object} The result with cache info
+ */
+function store(type, settings, result, capturedAt) {
+    // Base64 buffers are reloaded from the artifact store on a legacy hit
+    const stored = { ...result };
+    ARTIFACT_FIELDS.filter(field => stored[field]).forEach((field) => {
+        stored[field] = stored[field].map(({ buffer, ...reference }) => reference);
+    });
+    const entry = { capturedAt, result: stored };
+
+    if (TTL_MS > 0) {
+        const key = buildKey(type, settings);
+        entries.delete(key);
+        entries.set(key, entry);
+        if (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return { ...result, cache: toCacheInfo(entry, false) };
+}
+
+module.exports = {
+    lookup,
+    store
+};
@@ -0,0 +1,249 @@
+/**
+ * Retention Worker
+ *
+ * Purges stored artifacts once they outlive the retention period of the
+ * automation that produced them, and prunes expired job records.
+ *
+ * Separation of Concerns:
+ * - Retention is configured per automation type in days: RETENTION_DAYS is the
+ *   default, RETENTION_DAYS_ROM / RETENTION_DAYS_COVERAGE_PLOT override it
+ *   (0 keeps artifacts forever)
+ * - Pinned artifacts and jobs (results of won deals) are never purged, nor are
+ *   artifacts of scheduled runs still in a venue's history (venueHistory)
+ * - Runs every RETENTION_INTERVAL_MINUTES on an unref'd timer; storage itself
+ *   is handled by artifactStore, job records by jobManager
+ */
+
+const artifactStore = require('./artifactStore');
+const jobManager = require('./jobManager');
+const venueHistory = require('./venueHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = parseRetentionDays(process.env.RETENTION_DAYS, 30);
+const INTERVAL_MS = (parseInt(process.env.RETENTION_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Automation types that tag their artifacts (see ooklaSteps.createCaptureContext)
+const AUTOMATION_TYPES = ['rom', 'coverage-plot'];
+
+// Age buckets for the storage report, upper bounds in days
+const AGE_BUCKETS = [
+    { label: '<1d', maxDays: 1 },
+    { label: '1-7d', maxDays: 7 },
+    { label: '7-30d', maxDays: 30 },
+    { label: '30-90d', maxDays: 90 },
+    { label: '90d+', maxDays: Infinity }
+];
+
+let timer = null;
+let running = null;
+let lastRun = null;
+
+function parseRetentionDays(value, fallback) {
+    const days = parseInt(value, 10);
+    return Number.isNaN(days) || days < 0 ? fallback : days;
+}
+
+// ============== POLICY ==============
+
+/**
+ * @param {string} [type] - Automation type ('rom', 'coverage-plot'); artifacts
+ *   stored without one use the default
+ * @returns {number} Retention in days, 0 meaning forever
+ */
+function getRetentionDays(type) {
+    if (!AUTOMATION_TYPES.includes(type)) return DEFAULT_RETENTION_DAYS;
+    const envName = `RETENTION_DAYS_${type.toUpperCase().replace(/-/g, '_')}`;
+    return parseRetentionDays(process.env[envName], DEFAULT_RETENTION_DAYS);
+}
+
+/**
+ * @returns {Object} { default, rom, 'coverage-plot' } in days
+ */
+function getPolicy() {
+    const policy = { default: DEFAULT_RETENTION_DAYS };
+    AUTOMATION_TYPES.forEach(type => { policy[type] = getRetentionDays(type); });
+    return policy;
+}
+
+// inHistory: artifact IDs from venueHistory.listArtifactIds
+function isExpired(meta, now, inHistory) {
+    if (meta.pinned || inHistory.has(meta.id)) return false;
+    const days = getRetentionDays(meta.automationType);
+    return days > 0 && now - Date.parse(meta.createdAt) > days * DAY_MS;
+}
+
+
+// ============== CLEANUP ==============
+
+async function cleanup() {
+    const started = Date.now();
+    const summary = {
+        startedAt: new Date(started).toISOString(),
+        artifactsDeleted: 0,
+        bytesFreed: 0,
+        jobsPruned: 0,
+        errors: []
+    };
+
+    try {
+        const artifacts = await artifactStore.listArtifacts();
+        const inHistory = venueHistory.listArtifactIds();
+        for (const meta of artifacts.filter(a => isExpired(a, started, inHistory))) {
+            try {
+                await artifactStore.deleteArtifact(meta.id);
+                summary.artifactsDeleted++;
+                summary.bytesFreed += meta.bytes || 0;
+            } catch (error) {
+                summary.errors.push(`Artifact ${meta.id}: ${error.message}`);
+            }
+        }
+    } catch (error) {
+        summary.errors.push(`Listing artifacts failed: ${error.message}`);
+    }
+
+    summary.jobsPruned = jobManager.pruneExpiredJobs();
+    summary.duration = Date.now() - started;
+
+    if (summary.artifactsDeleted || summary.jobsPruned || summary.errors.length) {
+        console.log(`  [Retention] Deleted ${summary.artifactsDeleted} artifact(s) (${(summary.bytesFreed / 1024 / 1024).toFixed(2)} MB), pruned ${summary.jobsPruned} job(s)`);
+    }
+    summary.errors.forEach(error => console.error(`  [Retention] ${error}`));
+
+    lastRun = summary;
+    return summary;
+}
+
+/**
+ * Run a cleanup pass now. Concurrent calls share the pass already in progress.
+ * @returns {Promise<Object>} { startedAt, artifactsDeleted, bytesFreed, jobsPruned, errors, duration }
+ */
+function runCleanup() {
+    if (!running) {
+        running = cleanup().finally(() => { running = null; });
+    }
+    return running;
+}
+
+// ============== PINNING ==============
+
+// Artifact references can sit anywhere in a result (screenshots, batch runs, ...)
+function collectArtifactIds(value, ids = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectArtifactIds(item, ids));
+    } else if (value && typeof value === 'object') {
+        if (typeof value.artifactId === 'string') ids.add(value.artifactId);
+        Object.values(value).forEach(item => collectArtifactIds(item, ids));
+    }
+    return ids;
+}
+
+/**
+ * Pin or unpin a job together with every artifact in its result
+ * @param {string} id - Job ID
+ * @param {boolean} pinned
+ * @param {string} [reason] - e.g. the won deal it belongs to
+ * @returns {Promise<Object|null>} { job, artifactIds }, or null if the job is unknown
+ */
+async function pinJob(id, pinned, reason = null) {
+    const job = jobManager.setJobPinned(id, pinned, reason);
+    if (!job) return null;
+
+    const artifactIds = [];
+    for (const artifactId of collectArtifactIds(job.result)) {
+        if (await artifactStore.setPinned(artifactId, pinned, reason)) {
+            artifactIds.push(artifactId);
+        }
+    }
+
+    console.log(`  [Retention] Job ${job.id} ${pinned ? 'pinned' : 'unpinned'} with ${artifactIds.length} artifact(s)`);
+    return { job, artifactIds };
+}
+
+// ============== REPORTING ==============
+
+function emptyUsage() {
+    return { count: 0, bytes: 0 };
+}
+
+function addUsage(usage, meta) {
+    usage.count++;
+    usage.bytes += meta.bytes || 0;
+}
+
+/**
+ * Storage usage broken down by automation type and age
+ * @returns {Promise<Object>}
+ */
+async function getStorageReport() {
+    const now = Date.now();
+    const artifacts = await artifactStore.listArtifacts();
+    const inHistory = venueHistory.listArtifactIds();
+
+    const total = emptyUsage();
+    const pinned = emptyUsage();
+    const expired = emptyUsage();
+    const byType = {};
+    const byAge = AGE_BUCKETS.map(bucket => ({ label: bucket.label, ...emptyUsage() }));
+
+    for (const meta of artifacts) {
+        const type = meta.automationType || 'unknown';
+        if (!byType[type]) {
+            byType[type] = { ...emptyUsage(), pinned: 0, retentionDays: getRetentionDays(meta.automationType) };
+        }
+
+        addUsage(total, meta);
+        addUsage(byType[type], meta);
+        if (meta.pinned) {
+            addUsage(pinned, meta);
+            byType[type].pinned++;
+        }
+        if (isExpired(meta, now, inHistory)) addUsage(expired, meta);
+
+        const ageDays = (now - Date.parse(meta.createdAt)) / DAY_MS;
+        addUsage(byAge[AGE_BUCKETS.findIndex(bucket => ageDays < bucket.maxDays)], meta);
+    }
+
+    return {
+        storage: artifactStore.getStorageName(),
+        generatedAt: new Date(now).toISOString(),
+        artifacts: { ...total, pinned, awaitingCleanup: expired, byType, byAge },
+        jobs: jobManager.getJobStats(),
+        retention: {
+            policyDays: getPolicy(),
+            intervalMinutes: INTERVAL_MS / 60000,
+            lastRun
+        }
+    };
+}
+
+// ============== LIFECYCLE ==============
+
+/**
+ * Run a first cleanup and then one every RETENTION_INTERVAL_MINUTES
+ */
+function start() {
+    if (timer) return;
+
+    const policy = getPolicy();
+    console.log(`  [Retention] Keeping artifacts ROM ${policy.rom}d, coverage plot ${policy['coverage-plot']}d, other ${policy.default}d (0 = forever)`);
+
+    runCleanup();
+    timer = setInterval(runCleanup, INTERVAL_MS);
+    timer.unref();
+}
+
+/**
+ * Stop the interval (used on shutdown)
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    runCleanup,
+    pinJob,
+    getStorageReport,
+    start,
+    stop
+};
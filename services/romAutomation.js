@@ -2,254 +2,279 @@
  * ROM Automation Service
  * 
  * This service handles the ROM (Rate of Modulation) generator automation.
- * It captures Indoor and Outdoor view screenshots from Ookla Cell Analytics.
+ * It captures Indoor and Outdoor view screenshots from Ookla Cell Analytics,
+ * one set per requested technology and metric (LTE RSRP by default), then
+ * exports the data behind the last map as an Excel file. Every run also gets
+ * an estimator workbook (romWorkbook); both are returned in excelFiles.
  * 
  * Separation of Concerns:
  * - This service is independent from Coverage Plot automation
- * - Uses shared ooklaHelpers for common Ookla operations
+ * - Declared as a workflow of shared Ookla steps (ooklaSteps) executed by
+ *   workflowRunner, which handles progress, timing, retries and cancellation
  * - Has its own business logic for ROM-specific requirements
  */
 
-const ooklaHelpers = require('./ooklaHelpers');
+const ooklaSteps = require('./ooklaSteps');
+const artifactStore = require('./artifactStore');
+const romWorkbook = require('./romWorkbook');
+const batchAutomation = require('./batchAutomation');
+const resultCache = require('./resultCache');
+const carrierCatalog = require('./carrierCatalog');
+const { pickCaptureOptions, resolveCaptureOptions, validateCaptureOptions } = require('./captureOptions');
+const { pickLocation, resolveLocation, validateLocation } = require('./venueLocation');
+const { runWorkflow } = require('./workflowRunner');
+
+// ROM always captures Indoor then Outdoor; title names the view in the workbook
+const ROM_VIEWS = [
+    { name: 'captureIndoor', label: 'indoor view', title: 'Indoor', viewNames: ['Indoor View'], fileTag: 'rom_INDOOR' },
+    { name: 'captureOutdoor', label: 'outdoor view', title: 'Outdoor', viewNames: ['Outdoor View'], fileTag: 'rom_OUTDOOR' }
+];
 
 /**
- * Execute ROM automation
- * @param {Object} params - Automation parameters
- * @param {string} params.address - The address to analyze
- * @param {string[]} params.carriers - Array of carrier names (e.g., ['AT&T', 'Verizon'])
- * @returns {Promise<Object>} Result with screenshots
+ * Build the ROM workflow for the requested technologies and metrics, ending
+ * with the data export
+ * @param {Object} capture - Resolved capture options { technologies, metrics, perCarrier, zoom, baseLayer, dateRange }
+ * @param {string[]} carriers - Requested carriers (one capture each in perCarrier mode)
+ * @returns {Object} Workflow definition
  */
-async function executeRomAutomation({ address, carriers }) {
-    let browser = null;
-    const startTime = Date.now();
-
-    console.log('='.repeat(60));
-    console.log('ROM AUTOMATION - Starting');
-    console.log('='.repeat(60));
-    console.log('Address:', address);
-    console.log('Carriers:', carriers);
-    console.log('Views: Indoor + Outdoor (hardcoded)');
-    console.log('='.repeat(60));
+function buildWorkflow(capture, carriers) {
+    return {
+        name: 'ROM AUTOMATION',
+        steps: [
+            ...ooklaSteps.MAP_SETUP_STEPS,
+            ...ooklaSteps.buildCaptureSteps(capture, ROM_VIEWS, carriers),
+            ooklaSteps.exportDataStep(capture, 'rom_DATA')
+        ]
+    };
+}
 
+/**
+ * Generate the estimator workbook from the captured screenshots and put it
+ * first in ctx.excelFiles. A workbook that cannot be built is a warning: the
+ * screenshots and data export are still delivered.
+ * @param {Object} ctx - Capture ctx after a successful run
+ */
+async function addRomWorkbook(ctx) {
+    console.log('  Building ROM workbook...');
     try {
-        // Step 1: Create browser context
-        console.log('\n[Step 1/10] Initializing browser...');
-        const { browser: br, page } = await ooklaHelpers.createBrowserContext();
-        browser = br;
-
-        // Step 2: Login to Ookla
-        console.log('\n[Step 2/10] Logging into Ookla...');
-        await ooklaHelpers.loginToOokla(page);
-
-        // Step 3: Select Day View
-        console.log('\n[Step 3/10] Selecting Day View...');
-        await ooklaHelpers.selectDayView(page);
-
-        // Step 4: Enter Address
-        console.log('\n[Step 4/10] Entering address...');
-        await ooklaHelpers.enterAddress(page, address);
-
-        // Step 5: Open Network Provider
-        console.log('\n[Step 5/10] Opening Network Provider section...');
-        await ooklaHelpers.openNetworkProvider(page);
-
-        // Step 6: Configure Carriers
-        console.log('\n[Step 6/10] Configuring carriers...');
-        await ooklaHelpers.configureCarriers(page, carriers);
-
-        // Step 7: Open LTE Section
-        console.log('\n[Step 7/10] Opening LTE section...');
-        await ooklaHelpers.openLTESection(page);
-
-        // Step 8: Select RSRP
-        console.log('\n[Step 8/10] Selecting RSRP...');
-        await ooklaHelpers.selectRSRP(page);
-
-        // Prepare for screenshots
-        const screenshots = [];
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const sanitizedAddress = address.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
-
-        // Helper to prepare for screenshot (zoom + collapse sidebar)
-        async function prepareForScreenshot() {
-            await ooklaHelpers.zoomIn(page, 4);
-            await ooklaHelpers.collapseSidebar(page);
-            await ooklaHelpers.closeOpenPopups(page);
-        }
-
-        // Step 9: Indoor View Screenshot
-        console.log('\n[Step 9/10] Capturing Indoor View...');
-        if (await ooklaHelpers.selectView(page, 'Indoor View')) {
-            await prepareForScreenshot();
-            const screenshot = await ooklaHelpers.takeScreenshot(page, 'rom_INDOOR', sanitizedAddress, timestamp);
-            screenshots.push(screenshot);
-            
-            // Expand sidebar for next view selection
-            await ooklaHelpers.expandSidebar(page);
-        } else {
-            console.log('  ⚠ Failed to select Indoor View');
-        }
-
-        // Step 10: Outdoor View Screenshot
-        console.log('\n[Step 10/10] Capturing Outdoor View...');
-        if (await ooklaHelpers.selectView(page, 'Outdoor View')) {
-            await prepareForScreenshot();
-            const screenshot = await ooklaHelpers.takeScreenshot(page, 'rom_OUTDOOR', sanitizedAddress, timestamp);
-            screenshots.push(screenshot);
-        } else {
-            console.log('  ⚠ Failed to select Outdoor View');
+        const views = [];
+        for (const screenshot of ctx.screenshots) {
+            const view = ROM_VIEWS.find(v => screenshot.filename.startsWith(`${v.fileTag}_`));
+            views.push({
+                title: view ? view.title : screenshot.filename,
+                technology: screenshot.technology,
+                metric: screenshot.metric,
+                carrier: screenshot.carrier,
+                filename: screenshot.filename,
+                image: await artifactStore.readArtifact(screenshot.artifactId)
+            });
         }
 
-        // Close browser
-        await browser.close();
-        browser = null;
-
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-        console.log('\n' + '='.repeat(60));
-        console.log('ROM AUTOMATION - Complete');
-        console.log('='.repeat(60));
-        console.log(`Duration: ${duration}s`);
-        console.log(`Screenshots captured: ${screenshots.length}`);
-        screenshots.forEach((ss, idx) => {
-            console.log(`  ${idx + 1}. ${ss.filename} - ${ss.size} KB`);
+        const buffer = await romWorkbook.buildRomWorkbook({
+            address: ctx.address,
+            location: ctx.location,
+            carriers: ctx.carriers,
+            capturedAt: new Date(ctx.capturedAt),
+            dateRange: ctx.dateRange,
+            views
         });
-        console.log('='.repeat(60));
+        const reference = await artifactStore.saveExcelFile({
+            filename: `rom_WORKBOOK_${ctx.sanitizedAddress}_${ctx.timestamp}.xlsx`,
+            buffer
+        }, {
+            legacyBase64: ctx.legacyBase64,
+            metadata: { address: ctx.address, view: 'rom_WORKBOOK', carriers: ctx.carriers, source: 'workbook', dateRange: ctx.dateRange, automationType: 'rom' }
+        });
+        ctx.excelFiles.unshift({ ...reference, source: 'workbook' });
+    } catch (error) {
+        console.log(`  Warning: ROM workbook could not be built: ${error.message}`);
+        ctx.warnings.push(`ROM workbook could not be built: ${error.message}`);
+    }
+}
 
-        return {
-            success: true,
-            screenshots,
-            duration: parseFloat(duration),
-            count: screenshots.length
-        };
+function toCacheSettings(location, capture, carriers) {
+    return { address: location.label, center: location.center, bounds: location.bounds, carriers, views: ROM_VIEWS.map(v => v.name), ...capture };
+}
 
-    } catch (error) {
-        console.error('\n' + '='.repeat(60));
-        console.error('ROM AUTOMATION - Error');
-        console.error('='.repeat(60));
-        console.error('Error:', error.message);
-        console.error('='.repeat(60));
+/**
+ * Look up a recent capture with the same settings (see resultCache)
+ * @param {Object} params - Same as executeRomAutomation
+ * @returns {Promise<Object|null>} The cached result, or null on a miss or with forceRefresh
+ */
+async function lookupCachedRom({ address, carriers, legacyBase64, forceRefresh, ...options }) {
+    if (forceRefresh) return null;
+    const settings = toCacheSettings(resolveLocation({ address, ...options }), resolveCaptureOptions(options), carriers);
+    return resultCache.lookup('rom', settings, { legacyBase64 });
+}
 
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (e) {
-                console.error('Error closing browser:', e.message);
-            }
+/**
+ * Run the ROM workflow and shape its result. A recent capture with the same
+ * settings is returned from the result cache unless forceRefresh is set.
+ * On failure (other than cancellation) the error carries a checkpoint to resume from.
+ * @returns {Promise<Object>} Result with screenshots, excelFiles and cache info
+ */
+async function runRomWorkflow({ address, carriers, legacyBase64, forceRefresh, ...options }, { sendProgress = () => { }, signal, checkpoint, lease } = {}) {
+    const capture = resolveCaptureOptions(options);
+    // Presets resolve to today's dates: a resumed run keeps the period of its first run
+    if (checkpoint) capture.dateRange = checkpoint.dateRange ?? capture.dateRange;
+    const location = resolveLocation({ address, ...options });
+    const cacheSettings = toCacheSettings(location, capture, carriers);
+    if (!forceRefresh && !checkpoint) {
+        const cached = await resultCache.lookup('rom', cacheSettings, { legacyBase64 });
+        if (cached) {
+            sendProgress(100, 'Using cached capture');
+            return cached;
         }
+    }
 
+    const ctx = ooklaSteps.createCaptureContext({ location, carriers, baseLayer: capture.baseLayer, dateRange: capture.dateRange, automationType: 'rom', lease, legacyBase64 }, checkpoint);
+    let timings, duration;
+    try {
+        // A shared lease comes from a batch, which already holds the automation slot
+        ({ timings, duration } = await runWorkflow(buildWorkflow(capture, carriers), ctx, { sendProgress, signal, slotHeld: Boolean(lease) }));
+    } catch (error) {
+        if (error.code !== 'CANCELLED') {
+            error.checkpoint = ooklaSteps.toCheckpoint(ctx, error.failedStep);
+        }
         throw error;
     }
+
+    await addRomWorkbook(ctx);
+
+    console.log(`Screenshots captured: ${ctx.screenshots.length}`);
+    ctx.screenshots.forEach((ss, idx) => {
+        console.log(`  ${idx + 1}. ${ss.filename} - ${ss.size} KB`);
+    });
+    ctx.excelFiles.forEach((file) => {
+        console.log(`  Excel: ${file.filename} - ${file.size} KB (${file.source})`);
+    });
+
+    return resultCache.store('rom', cacheSettings, {
+        success: true,
+        screenshots: ctx.screenshots,
+        excelFiles: ctx.excelFiles,
+        duration,
+        count: ctx.screenshots.length,
+        dateRange: ctx.dateRange,
+        warnings: ctx.warnings,
+        steps: timings
+    }, ctx.capturedAt);
+}
+
+/**
+ * Execute ROM automation
+ * @param {Object} params - Automation parameters
+ * @param {string} [params.address] - The address to analyze (optional label when lat/lng are given)
+ * @param {number} [params.lat] - Latitude to center on instead of searching the address
+ * @param {number} [params.lng] - Longitude
+ * @param {number} [params.radius] - Meters around lat/lng to frame
+ * @param {Object} [params.bounds] - { north, south, east, west } box to frame, containing lat/lng
+ * @param {string[]} params.carriers - Array of carrier names (e.g., ['AT&T', 'Verizon'])
+ * @param {boolean} [params.legacyBase64] - Also embed each screenshot as base64 (legacy response format)
+ * @param {boolean} [params.forceRefresh] - Capture again even if a cached result exists
+ * @param {string} [params.technology] - 'LTE' (default), '5G NR' or 'both'
+ * @param {string[]} [params.metrics] - Metrics, one screenshot set each per technology (default ['RSRP'])
+ * @param {boolean} [params.perCarrier] - One screenshot set per carrier instead of all carriers on one map
+ * @param {number|string} [params.zoom] - Leaflet zoom level or preset ('campus', 'block', 'building')
+ * @param {string} [params.baseLayer] - Map layer label (default 'Day'), e.g. 'Night' or 'Satellite'
+ * @param {string|Object} [params.dateRange] - Data period: a preset ('last30days', 'last90days',
+ *   'last6months', 'last12months') or { start, end } as YYYY-MM-DD (default: Ookla's window)
+ * @param {Object} [options] - { sendProgress, signal, lease }; lease is a session shared by a batch
+ * @returns {Promise<Object>} Result with screenshots (artifact references labelled with their
+ *   technology and metric), excelFiles (XLSX artifact references: the estimator workbook, then the Ookla data export),
+ *   dateRange (the data period applied, null for Ookla's default), warnings (e.g. a base
+ *   layer that could not be applied) and cache: { hit, capturedAt, expiresAt }
+ */
+async function executeRomAutomation(params, options = {}) {
+    console.log('Address:', params.address);
+    if (params.lat !== undefined) console.log('Coordinates:', pickLocation(params));
+    console.log('Carriers:', params.carriers);
+    console.log('Views: Indoor + Outdoor (hardcoded)');
+    const capture = resolveCaptureOptions(params);
+    console.log('Technologies:', capture.technologies);
+    console.log('Metrics:', capture.metrics);
+    console.log('Per carrier:', capture.perCarrier);
+    console.log('Zoom:', capture.zoom ?? 'Ookla default');
+    console.log('Base layer:', capture.baseLayer);
+    console.log('Date range:', capture.dateRange ? `${capture.dateRange.start} to ${capture.dateRange.end}` : 'Ookla default');
+
+    return runRomWorkflow(params, options);
+}
+
+/**
+ * Execute ROM automation for many addresses on one browser session
+ * @param {Object} params
+ * @param {Object[]} params.items - [{ address and/or lat/lng, carriers, technology?, metrics? }]
+ * @param {boolean} [params.legacyBase64] - Also embed screenshots as base64
+ * @param {boolean} [params.forceRefresh] - Bypass the result cache for every item
+ * @param {string} [params.technology] - Default technology for items that do not set their own
+ * @param {string[]} [params.metrics] - Default metrics for items that do not set their own
+ * @param {boolean} [params.perCarrier] - Default perCarrier mode for items that do not set their own
+ * @param {number|string} [params.zoom] - Default zoom for items that do not set their own
+ * @param {string} [params.baseLayer] - Default base layer for items that do not set their own
+ * @param {string|Object} [params.dateRange] - Default date range for items that do not set their own
+ * @param {Function} [sendProgress] - See batchAutomation.executeBatch
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} { success, total, succeeded, failed, duration, results } with results grouped by address
+ */
+function executeRomBatch({ items, legacyBase64, forceRefresh, ...batchOptions }, sendProgress, options) {
+    return batchAutomation.executeBatch(
+        items.map(({ address, carriers, ...itemOptions }) => ({
+            ...pickCaptureOptions(batchOptions),
+            ...pickCaptureOptions(itemOptions),
+            ...pickLocation(itemOptions),
+            address,
+            carriers,
+            legacyBase64,
+            forceRefresh
+        })),
+        (item, itemOptions) => executeRomAutomation(item, itemOptions),
+        sendProgress,
+        { ...options, lookupItem: lookupCachedRom }
+    );
 }
 
 /**
  * Execute ROM automation with streaming progress (SSE).
- * Calls sendProgress(progress, step, extraData) at each step.
- * @param {Object} params - Automation parameters (address, carriers)
- * @param {Function} sendProgress - (progress, step, data?) => void; data can include { final, success, screenshots, excelFiles, error }
+ * Calls sendProgress(progress, step, extraData) at each step. While waiting for
+ * a free automation slot it sends { status: 'queued', position } events.
+ * @param {Object} params - Automation parameters (address, carriers, legacyBase64, forceRefresh, technology, metrics, perCarrier, zoom, baseLayer, dateRange)
+ * @param {Function} sendProgress - (progress, step, data?) => void; data can include { final, success, screenshots, excelFiles, dateRange, warnings, cache, error }
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting cancels the run; it then rejects with a CANCELLED error
+ * @param {Object} [options.checkpoint] - Resume a failed run: keeps its screenshots and
+ *   skips the captures it completed (login and map setup are replayed)
  * @returns {Promise<Object>} Result with screenshots (same as executeRomAutomation)
  */
-async function executeRomAutomationStream({ address, carriers }, sendProgress) {
-    let browser = null;
-    const startTime = Date.now();
-
+async function executeRomAutomationStream(params, sendProgress, { signal, checkpoint } = {}) {
     const emit = (progress, step, data = {}) => {
         sendProgress(progress, step, { status: 'processing', ...data });
     };
 
     try {
-        emit(5, 'Initializing...');
-        const { browser: br, page } = await ooklaHelpers.createBrowserContext();
-        browser = br;
+        const result = await runRomWorkflow(params, { sendProgress: emit, signal, checkpoint });
 
-        emit(10, 'Opening browser...');
-        emit(15, 'Logging in...');
-        await ooklaHelpers.loginToOokla(page);
-
-        emit(22, 'Selecting day view...');
-        await ooklaHelpers.selectDayView(page);
-
-        emit(28, 'Entering address...');
-        await ooklaHelpers.enterAddress(page, address);
-
-        emit(35, 'Opening network provider...');
-        await ooklaHelpers.openNetworkProvider(page);
-
-        emit(45, 'Configuring carriers...');
-        await ooklaHelpers.configureCarriers(page, carriers);
-
-        emit(55, 'Opening LTE section...');
-        await ooklaHelpers.openLTESection(page);
-
-        emit(65, 'Selecting RSRP...');
-        await ooklaHelpers.selectRSRP(page);
-
-        const screenshots = [];
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const sanitizedAddress = address.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
-
-        async function prepareForScreenshot() {
-            await ooklaHelpers.zoomIn(page, 4);
-            await ooklaHelpers.collapseSidebar(page);
-            await ooklaHelpers.closeOpenPopups(page);
-        }
-
-        emit(70, 'Preparing screenshots...');
-        emit(75, 'Capturing indoor view...');
-        if (await ooklaHelpers.selectView(page, 'Indoor View')) {
-            await prepareForScreenshot();
-            const screenshot = await ooklaHelpers.takeScreenshot(page, 'rom_INDOOR', sanitizedAddress, timestamp);
-            screenshots.push(screenshot);
-            await ooklaHelpers.expandSidebar(page);
-        }
-
-        emit(85, 'Capturing outdoor view...');
-        if (await ooklaHelpers.selectView(page, 'Outdoor View')) {
-            await prepareForScreenshot();
-            const screenshot = await ooklaHelpers.takeScreenshot(page, 'rom_OUTDOOR', sanitizedAddress, timestamp);
-            screenshots.push(screenshot);
-        }
-
-        await browser.close();
-        browser = null;
-
-        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-        console.log('\n' + '='.repeat(60));
-        console.log('ROM AUTOMATION (STREAM) - Complete');
-        console.log('='.repeat(60));
-        console.log(`Duration: ${duration}s`);
-        console.log(`Screenshots captured: ${screenshots.length}`);
-        console.log('='.repeat(60));
-
-        const result = {
-            success: true,
-            screenshots,
-            duration: parseFloat(duration),
-            count: screenshots.length
-        };
         sendProgress(100, 'Complete', {
             final: true,
             success: true,
             screenshots: result.screenshots,
-            excelFiles: [],
+            excelFiles: result.excelFiles,
             duration: result.duration,
-            count: result.count
+            count: result.count,
+            dateRange: result.dateRange,
+            warnings: result.warnings,
+            cache: result.cache
         });
         return result;
     } catch (error) {
-        console.error('\n' + '='.repeat(60));
-        console.error('ROM AUTOMATION (STREAM) - Error');
-        console.error('='.repeat(60));
-        console.error('Error:', error.message);
-        console.error('='.repeat(60));
-
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (e) {
-                console.error('Error closing browser:', e.message);
-            }
+        if (error.code === 'CANCELLED') {
+            sendProgress(0, 'Cancelled', {
+                final: true,
+                success: false,
+                status: 'cancelled',
+                error: 'Automation cancelled'
+            });
+            throw error;
         }
 
         sendProgress(0, 'Error', {
@@ -266,31 +291,44 @@ async function executeRomAutomationStream({ address, carriers }, sendProgress) {
  * @param {Object} params - Request parameters
  * @returns {Object} Validation result
  */
-function validateRequest({ address, carriers }) {
-    const errors = [];
-
-    if (!address || typeof address !== 'string' || address.trim().length === 0) {
-        errors.push('Address is required and must be a non-empty string');
-    }
+function validateRequest({ address, carriers, legacyBase64, forceRefresh, ...options }) {
+    const errors = [...validateLocation({ address, ...options })];
 
     if (!carriers || !Array.isArray(carriers) || carriers.length === 0) {
         errors.push('Carriers is required and must be a non-empty array');
     } else {
-        const validCarriers = ['AT&T', 'Verizon', 'T-Mobile'];
-        const invalidCarriers = carriers.filter(c => !validCarriers.includes(c));
-        if (invalidCarriers.length > 0) {
-            errors.push(`Invalid carriers: ${invalidCarriers.join(', ')}. Valid options: ${validCarriers.join(', ')}`);
-        }
+        errors.push(...carrierCatalog.validateCarriers(carriers));
     }
 
+    if (legacyBase64 !== undefined && typeof legacyBase64 !== 'boolean') {
+        errors.push('legacyBase64 must be a boolean');
+    }
+
+    if (forceRefresh !== undefined && typeof forceRefresh !== 'boolean') {
+        errors.push('forceRefresh must be a boolean');
+    }
+
+    errors.push(...validateCaptureOptions(options));
+
     return {
         isValid: errors.length === 0,
         errors
     };
 }
 
+/**
+ * Validate ROM batch request
+ * @param {Object} params - { items: [{ address, carriers, technology?, metrics? }], technology?, metrics? }
+ * @returns {Object} Validation result
+ */
+function validateBatchRequest({ items, legacyBase64, forceRefresh, ...options }) {
+    return batchAutomation.validateBatch(items, item => validateRequest({ ...pickCaptureOptions(options), ...item, legacyBase64, forceRefresh }));
+}
+
 module.exports = {
     executeRomAutomation,
     executeRomAutomationStream,
-    validateRequest
+    executeRomBatch,
+    validateRequest,
+    validateBatchRequest
 };
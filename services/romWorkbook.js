@@ -0,0 +1,160 @@
+/**
+ * ROM Workbook
+ *
+ * Builds the Excel workbook estimators work from, one per ROM run: a summary
+ * sheet, one sheet per captured view with its screenshot embedded and a
+ * pricing sheet to fill in.
+ *
+ * Separation of Concerns:
+ * - Pure document generation from a ROM result; romAutomation gathers the
+ *   screenshots and stores the workbook as an artifact (see excelFiles)
+ * - The summary lists the venue (address, coordinates), carriers, capture
+ *   date, data period and every view, linked to its sheet
+ * - Pricing rows are placeholders: quantities and unit prices are left blank,
+ *   totals are formulas
+ */
+
+const ExcelJS = require('exceljs');
+
+// Screenshots are scaled down to this width (pixels) on their sheet
+const MAX_IMAGE_WIDTH = 960;
+
+const PRICING_ITEMS = [
+    'Equipment',
+    'Installation labor',
+    'Engineering & design',
+    'Carrier coordination',
+    'Project management',
+    'Contingency'
+];
+const CURRENCY_FORMAT = '"$"#,##0.00';
+
+// Sheet names: at most 31 characters, none of []:*?/\, unique in the workbook
+function toSheetName(title, usedNames) {
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 31) || 'Sheet';
+    let name = base;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        name = base.substring(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+// Width and height from the PNG header (IHDR), null for anything else
+function pngSize(buffer) {
+    if (!buffer || buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function viewTitle({ title, technology, metric, carrier }) {
+    return [title, carrier, technology, metric].filter(Boolean).join(' ');
+}
+
+function addSummarySheet(workbook, { address, location, carriers, capturedAt, dateRange }, viewSheets) {
+    const sheet = workbook.addWorksheet('Summary');
+    sheet.columns = [{ width: 16 }, { width: 24 }, { width: 12 }, { width: 12 }, { width: 14 }, { width: 36 }];
+
+    sheet.addRow(['ROM Summary']).font = { bold: true, size: 14 };
+    sheet.addRow([]);
+
+    const details = [
+        ['Address', address],
+        ...(location && location.center ? [['Coordinates', `${location.center.lat}, ${location.center.lng}`]] : []),
+        ['Carriers', carriers.join(', ')],
+        ['Capture date', capturedAt.toISOString().slice(0, 10)],
+        ['Data period', dateRange ? `${dateRange.start} to ${dateRange.end}` : 'Ookla default']
+    ];
+    details.forEach((detail) => {
+        sheet.addRow(detail).getCell(1).font = { bold: true };
+    });
+
+    sheet.addRow([]);
+    sheet.addRow(['Views']).font = { bold: true, size: 12 };
+    sheet.addRow(['#', 'View', 'Technology', 'Metric', 'Carrier', 'Screenshot']).font = { bold: true };
+    viewSheets.forEach(({ view, sheetName }, idx) => {
+        const row = sheet.addRow([idx + 1, view.title, view.technology, view.metric, view.carrier || 'All', view.filename]);
+        row.getCell(2).value = { text: view.title, hyperlink: `#'${sheetName}'!A1` };
+        row.getCell(2).font = { color: { argb: 'FF0563C1' }, underline: true };
+    });
+
+    sheet.addRow([]);
+    sheet.addRow(['Pricing', 'See the Pricing sheet']).getCell(1).font = { bold: true };
+}
+
+function addViewSheet(workbook, view, sheetName) {
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.getColumn(1).width = 100;
+
+    sheet.addRow([viewTitle(view)]).font = { bold: true, size: 14 };
+    sheet.addRow([view.filename]).font = { italic: true, color: { argb: 'FF666666' } };
+
+    const size = pngSize(view.image);
+    if (!size) {
+        sheet.addRow(['Screenshot not available']);
+        return;
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_WIDTH / size.width);
+    const imageId = workbook.addImage({ buffer: view.image, extension: 'png' });
+    sheet.addImage(imageId, {
+        tl: { col: 0, row: 3 },
+        ext: { width: Math.round(size.width * scale), height: Math.round(size.height * scale) }
+    });
+}
+
+function addPricingSheet(workbook) {
+    const sheet = workbook.addWorksheet('Pricing');
+    sheet.columns = [{ width: 28 }, { width: 10 }, { width: 14 }, { width: 14 }, { width: 40 }];
+
+    sheet.addRow(['Pricing']).font = { bold: true, size: 14 };
+    sheet.addRow(['Placeholder: fill in quantities and unit prices']).font = { italic: true, color: { argb: 'FF666666' } };
+    sheet.addRow([]);
+    sheet.addRow(['Item', 'Qty', 'Unit price', 'Total', 'Notes']).font = { bold: true };
+
+    const firstRow = sheet.rowCount + 1;
+    PRICING_ITEMS.forEach((item) => {
+        const row = sheet.addRow([item]);
+        row.getCell(4).value = { formula: `B${row.number}*C${row.number}` };
+        row.getCell(3).numFmt = CURRENCY_FORMAT;
+        row.getCell(4).numFmt = CURRENCY_FORMAT;
+    });
+    const lastRow = sheet.rowCount;
+
+    const total = sheet.addRow(['Total']);
+    total.font = { bold: true };
+    total.getCell(4).value = { formula: `SUM(D${firstRow}:D${lastRow})` };
+    total.getCell(4).numFmt = CURRENCY_FORMAT;
+}
+
+/**
+ * Build the ROM workbook
+ * @param {Object} rom
+ * @param {string} rom.address - Venue label
+ * @param {Object} [rom.location] - From venueLocation.resolveLocation; coordinates are listed when set
+ * @param {string[]} rom.carriers - Requested carriers
+ * @param {Date} rom.capturedAt
+ * @param {Object|null} [rom.dateRange] - { start, end } data period, null for Ookla's default
+ * @param {Object[]} rom.views - [{ title, technology, metric, carrier?, filename, image }] in capture
+ *   order, where title is e.g. 'Indoor' and image the PNG (Buffer, null if unavailable)
+ * @returns {Promise<Buffer>} XLSX contents
+ */
+async function buildRomWorkbook({ address, location = null, carriers, capturedAt, dateRange = null, views }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Boingo Playwright Automation';
+    workbook.created = capturedAt;
+
+    // Summary comes first; its view list needs the sheet names
+    const usedNames = new Set(['summary', 'pricing']);
+    const viewSheets = views.map(view => ({ view, sheetName: toSheetName(viewTitle(view), usedNames) }));
+
+    addSummarySheet(workbook, { address, location, carriers, capturedAt, dateRange }, viewSheets);
+    viewSheets.forEach(({ view, sheetName }) => addViewSheet(workbook, view, sheetName));
+    addPricingSheet(workbook);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    buildRomWorkbook
+};
@@ -0,0 +1,370 @@
+/**
+ * Scheduler Service
+ *
+ * Re-captures coverage for a watchlist of venues on cron schedules
+ * (e.g. monthly) so customers can see how carrier coverage changes.
+ *
+ * Separation of Concerns:
+ * - Schedules are stored server-side in SCHEDULES_FILE and re-armed on start
+ * - A due schedule submits an ordinary job through jobManager, so it runs
+ *   through the same automation flows, queue and browser pool as everything else
+ * - Each run and its result is recorded in the venue's history (venueHistory)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CronExpressionParser } = require('cron-parser');
+const jobManager = require('./jobManager');
+const venueHistory = require('./venueHistory');
+const { pickCaptureOptions } = require('./captureOptions');
+const { pickLocation, getVenueLabel } = require('./venueLocation');
+
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || path.join(__dirname, '..', '.data', 'schedules.json');
+const DEFAULT_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+// Job types a schedule can run (one address per run)
+const SCHEDULE_TYPES = ['coverage-plot', 'rom'];
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const schedules = new Map();
+const timers = new Map();
+let started = false;
+
+// ============== PERSISTENCE ==============
+
+function loadSchedules() {
+    if (!fs.existsSync(SCHEDULES_FILE)) return;
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+        stored.forEach(schedule => schedules.set(schedule.id, schedule));
+        console.log(`  [Scheduler] Loaded ${stored.length} schedule(s)`);
+    } catch (error) {
+        console.error(`  [Scheduler] Could not read ${SCHEDULES_FILE}:`, error.message);
+    }
+}
+
+function saveSchedules() {
+    fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+    fs.writeFileSync(`${SCHEDULES_FILE}.tmp`, JSON.stringify(Array.from(schedules.values()), null, 2));
+    fs.renameSync(`${SCHEDULES_FILE}.tmp`, SCHEDULES_FILE);
+}
+
+// ============== TIMING ==============
+
+/**
+ * @returns {Date} Next time the cron expression fires after now
+ */
+function getNextRun(cron, timezone) {
+    return CronExpressionParser.parse(cron, { tz: timezone, currentDate: new Date() }).next().toDate();
+}
+
+// A stored schedule whose cron or timezone no longer parses is skipped, not fatal
+function tryGetNextRun(schedule) {
+    try {
+        return getNextRun(schedule.cron, schedule.timezone);
+    } catch (error) {
+        return null;
+    }
+}
+
+function arm(schedule) {
+    disarm(schedule.id);
+    if (!started || !schedule.enabled) return;
+
+    const nextRun = tryGetNextRun(schedule);
+    if (!nextRun) {
+        console.error(`  [Scheduler] "${schedule.name}" (${schedule.id}) not armed - invalid cron "${schedule.cron}" or timezone "${schedule.timezone}"`);
+        return;
+    }
+    const delay = Math.min(nextRun.getTime() - Date.now(), MAX_TIMER_MS);
+
+    const timer = setTimeout(() => {
+        // A failed run must neither crash the server nor stop the schedule
+        try {
+            if (Date.now() >= nextRun.getTime()) {
+                triggerRun(schedule.id, 'schedule');
+            }
+        } catch (error) {
+            console.error(`  [Scheduler] "${schedule.name}" run failed:`, error.message);
+        }
+        const current = schedules.get(schedule.id);
+        if (current) arm(current);
+    }, Math.max(delay, 0));
+    timer.unref();
+    timers.set(schedule.id, timer);
+}
+
+function disarm(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+}
+
+// ============== RUNS ==============
+
+/**
+ * Submit a job for a schedule and record it in the venue history
+ * @param {string} id - Schedule ID
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Object|null} The job, or null if skipped (previous run still active)
+ */
+function triggerRun(id, trigger) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    const previous = schedule.lastJobId && jobManager.getJob(schedule.lastJobId);
+    if (previous && !previous.finishedAt) {
+        console.log(`  [Scheduler] "${schedule.name}" skipped - previous run ${previous.id} still ${previous.status}`);
+        return null;
+    }
+
+    const { type, address, carriers, coverageTypes } = schedule;
+    const captureOptions = pickCaptureOptions(schedule);
+    const venue = getVenueLabel(schedule);
+    // Tracking coverage over time needs a fresh capture every run
+    const job = jobManager.createJob(type, { address, ...pickLocation(schedule), carriers, coverageTypes, ...captureOptions, forceRefresh: true }, {
+        onFinished: (finished) => recordResult(schedule.id, venue, finished)
+    });
+
+    console.log(`  [Scheduler] "${schedule.name}" started job ${job.id} (${trigger})`);
+
+    schedule.lastRunAt = new Date().toISOString();
+    schedule.lastJobId = job.id;
+    schedule.lastStatus = job.status;
+    saveSchedules();
+
+    venueHistory.saveRun(venue, {
+        runId: job.id,
+        scheduleId: schedule.id,
+        type,
+        trigger,
+        carriers,
+        coverageTypes,
+        ...captureOptions,
+        status: job.status,
+        createdAt: job.createdAt
+    });
+
+    return job;
+}
+
+function recordResult(scheduleId, venue, job) {
+    const schedule = schedules.get(scheduleId);
+    if (schedule && schedule.lastJobId === job.id) {
+        schedule.lastStatus = job.status;
+        saveSchedules();
+    }
+
+    venueHistory.saveRun(venue, {
+        runId: job.id,
+        status: job.status,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        duration: job.result ? job.result.duration : null,
+        screenshots: job.result ? job.result.screenshots : [],
+        excelFiles: job.result && job.result.excelFiles ? job.result.excelFiles : []
+    });
+}
+
+// ============== VALIDATION ==============
+
+/**
+ * Validate a schedule (full on create, only the given fields on update)
+ * @param {Object} input - Schedule fields
+ * @param {Object} [existing] - Current schedule when updating
+ * @returns {Object} Validation result
+ */
+function validateSchedule(input, existing = null) {
+    const errors = [];
+    const merged = { type: 'coverage-plot', timezone: DEFAULT_TIMEZONE, ...existing, ...pickFields(input) };
+
+    if (merged.name !== undefined && typeof merged.name !== 'string') {
+        errors.push('Name must be a string');
+    }
+
+    if (!SCHEDULE_TYPES.includes(merged.type)) {
+        errors.push(`Invalid type: ${merged.type}. Valid options: ${SCHEDULE_TYPES.join(', ')}`);
+    } else {
+        const { address, carriers, coverageTypes } = merged;
+        errors.push(...jobManager.validateJob(merged.type, { address, ...pickLocation(merged), carriers, coverageTypes, ...pickCaptureOptions(merged) }).errors);
+        if (merged.type === 'coverage-plot' && coverageTypes === undefined) {
+            errors.push('Coverage types is required and must be a non-empty array');
+        }
+    }
+
+    let validTimezone = true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: merged.timezone });
+    } catch (error) {
+        validTimezone = false;
+        errors.push(`Invalid timezone: ${merged.timezone}`);
+    }
+
+    if (!merged.cron || typeof merged.cron !== 'string') {
+        errors.push('Cron is required (e.g. "0 6 1 * *" for 06:00 on the 1st of every month)');
+    } else if (validTimezone) {
+        try {
+            getNextRun(merged.cron, merged.timezone);
+        } catch (error) {
+            errors.push(`Invalid cron expression: ${error.message}`);
+        }
+    }
+
+    if (merged.enabled !== undefined && typeof merged.enabled !== 'boolean') {
+        errors.push('Enabled must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+// Fields a client may set
+function pickFields({ name, type, address, carriers, coverageTypes, cron, timezone, enabled, ...options }) {
+    const fields = { name, type, address, ...pickLocation(options), carriers, coverageTypes, cron, timezone, enabled, ...pickCaptureOptions(options) };
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+}
+
+// ============== CRUD ==============
+
+/**
+ * Public view of a schedule, with its next run time
+ * @param {Object} schedule
+ * @returns {Object}
+ */
+function toScheduleView(schedule) {
+    return {
+        ...schedule,
+        nextRunAt: schedule.enabled ? (tryGetNextRun(schedule)?.toISOString() ?? null) : null
+    };
+}
+
+/**
+ * @returns {Object[]} All schedules
+ */
+function listSchedules() {
+    return Array.from(schedules.values()).map(toScheduleView);
+}
+
+/**
+ * @param {string} id - Schedule ID
+ * @returns {Object|null}
+ */
+function getSchedule(id) {
+    const schedule = schedules.get(id);
+    return schedule ? toScheduleView(schedule) : null;
+}
+
+/**
+ * Create a schedule (validate first with validateSchedule)
+ * @param {Object} input - { name?, type?, address and/or lat/lng, carriers, coverageTypes?, metrics?, cron, timezone?, enabled? }
+ * @returns {Object} The created schedule
+ */
+function createSchedule(input) {
+    const fields = pickFields(input);
+    const now = new Date().toISOString();
+    const schedule = {
+        id: crypto.randomUUID(),
+        name: fields.name || getVenueLabel(fields),
+        type: 'coverage-plot',
+        timezone: DEFAULT_TIMEZONE,
+        enabled: true,
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastJobId: null,
+        lastStatus: null
+    };
+
+    schedules.set(schedule.id, schedule);
+    saveSchedules();
+    arm(schedule);
+    console.log(`  [Scheduler] Created "${schedule.name}" (${schedule.cron} ${schedule.timezone})`);
+    return toScheduleView(schedule);
+}
+
+/**
+ * Update a schedule (validate first with validateSchedule)
+ * @param {string} id - Schedule ID
+ * @param {Object} input - Fields to change
+ * @returns {Object|null} The updated schedule, or null if unknown
+ */
+function updateSchedule(id, input) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    Object.assign(schedule, pickFields(input), { updatedAt: new Date().toISOString() });
+    saveSchedules();
+    arm(schedule);
+    return toScheduleView(schedule);
+}
+
+/**
+ * Delete a schedule. Its venue history is kept.
+ * @param {string} id - Schedule ID
+ * @returns {boolean} false if unknown
+ */
+function deleteSchedule(id) {
+    if (!schedules.has(id)) return false;
+
+    disarm(id);
+    schedules.delete(id);
+    saveSchedules();
+    return true;
+}
+
+/**
+ * Result history of a schedule's venue (shared by every schedule for that address)
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} { address, runs }, or null if the schedule is unknown
+ */
+function getScheduleHistory(id) {
+    const schedule = schedules.get(id);
+    return schedule ? venueHistory.getHistory(getVenueLabel(schedule)) : null;
+}
+
+/**
+ * Run a schedule now, outside its cron timing
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} The job, or null if skipped
+ */
+function runNow(id) {
+    return triggerRun(id, 'manual');
+}
+
+/**
+ * Load stored schedules and arm their timers (called once the server is listening)
+ */
+function start() {
+    if (started) return;
+    started = true;
+    loadSchedules();
+    schedules.forEach(arm);
+}
+
+/**
+ * Clear all timers (used on shutdown)
+ */
+function stop() {
+    started = false;
+    Array.from(timers.keys()).forEach(disarm);
+}
+
+module.exports = {
+    validateSchedule,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getScheduleHistory,
+    runNow,
+    start,
+    stop
+};
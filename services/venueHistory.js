@@ -0,0 +1,113 @@
+/**
+ * Venue History Service
+ *
+ * Keeps the results of scheduled captures per venue so coverage can be
+ * compared over time.
+ *
+ * Separation of Concerns:
+ * - One JSON file per venue under VENUE_HISTORY_DIR, keyed by the normalized
+ *   address, so differently typed copies of an address share a history
+ * - Only the newest VENUE_HISTORY_LIMIT runs are kept per venue; retention
+ *   keeps the artifacts those runs reference (see listArtifactIds)
+ * - Knows nothing about schedules or jobs; callers pass plain run records
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeAddress } = require('./addressUtils');
+
+const HISTORY_DIR = process.env.VENUE_HISTORY_DIR || path.join(__dirname, '..', '.data', 'history');
+const HISTORY_LIMIT = parseInt(process.env.VENUE_HISTORY_LIMIT, 10) || 24;
+
+function historyFile(address) {
+    const key = crypto.createHash('sha1').update(normalizeAddress(address)).digest('hex');
+    return path.join(HISTORY_DIR, `${key}.json`);
+}
+
+function readHistory(address) {
+    const file = historyFile(address);
+    if (!fs.existsSync(file)) {
+        return { address: address.trim(), runs: [] };
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read venue history ${file}:`, error.message);
+        return { address: address.trim(), runs: [] };
+    }
+}
+
+function writeHistory(history) {
+    const file = historyFile(history.address);
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(history));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Add a run to a venue's history, or update it if a run with the same id exists
+ * @param {string} address - Venue address
+ * @param {Object} run - { runId, ... }
+ */
+function saveRun(address, run) {
+    const history = readHistory(address);
+    const idx = history.runs.findIndex(r => r.runId === run.runId);
+
+    if (idx >= 0) {
+        history.runs[idx] = { ...history.runs[idx], ...run };
+    } else {
+        history.runs.push(run);
+        if (history.runs.length > HISTORY_LIMIT) {
+            history.runs.splice(0, history.runs.length - HISTORY_LIMIT);
+        }
+    }
+
+    writeHistory(history);
+}
+
+/**
+ * @param {string} address - Venue address
+ * @returns {Object} { address, runs } with runs oldest first
+ */
+function getHistory(address) {
+    return readHistory(address);
+}
+
+/**
+ * Artifacts referenced by any venue's history (screenshots and Excel files of kept runs)
+ * @returns {Set<string>} Artifact IDs
+ */
+function listArtifactIds() {
+    const ids = new Set();
+    let files;
+    try {
+        files = fs.readdirSync(HISTORY_DIR).filter(f => f.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return ids;
+        throw error;
+    }
+
+    for (const file of files) {
+        let history;
+        try {
+            history = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, file), 'utf8'));
+        } catch (error) {
+            console.error(`Could not read venue history ${file}:`, error.message);
+            continue;
+        }
+        for (const run of history.runs || []) {
+            [...(run.screenshots || []), ...(run.excelFiles || [])].forEach((reference) => {
+                if (reference && reference.artifactId) ids.add(reference.artifactId);
+            });
+        }
+    }
+    return ids;
+}
+
+module.exports = {
+    saveRun,
+    getHistory,
+    listArtifactIds
+};
@@ -0,0 +1,151 @@
+/**
+ * Venue Location
+ *
+ * Where a capture is centered: a street address searched in Ookla, or exact
+ * coordinates for sites without a searchable address (new construction,
+ * campuses).
+ *
+ * Separation of Concerns:
+ * - Requests send an address, or lat/lng optionally framed by a radius in
+ *   meters or a bounds box { north, south, east, west } containing the point
+ * - With coordinates the address is an optional label; without one the venue
+ *   is labelled "lat,lng"
+ * - The label stands in for the address everywhere a venue is identified
+ *   (screenshot filenames, cache keys, batch grouping, venue history)
+ */
+
+const MAX_RADIUS_METERS = 50000;
+const METERS_PER_DEGREE_LAT = 111320;
+const BOUNDS_SIDES = ['north', 'south', 'east', 'west'];
+
+/**
+ * Pick the coordinate fields from a request body or job params
+ * @param {Object} params
+ * @returns {Object} { lat?, lng?, radius?, bounds? } with unset fields left out
+ */
+function pickLocation({ lat, lng, radius, bounds } = {}) {
+    const location = { lat, lng, radius, bounds };
+    Object.keys(location).forEach(key => location[key] === undefined && delete location[key]);
+    return location;
+}
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+function hasCoordinates({ lat, lng }) {
+    return lat !== undefined || lng !== undefined;
+}
+
+function validateBounds(bounds, lat, lng) {
+    if (!bounds || typeof bounds !== 'object' || Array.isArray(bounds)) {
+        return ['bounds must be an object { north, south, east, west }'];
+    }
+
+    const invalidSides = BOUNDS_SIDES.filter(side => !isCoordinate(bounds[side], side === 'north' || side === 'south' ? 90 : 180));
+    if (invalidSides.length > 0) {
+        return [`Invalid bounds: ${invalidSides.join(', ')} must be valid latitudes/longitudes`];
+    }
+
+    const errors = [];
+    if (bounds.south >= bounds.north || bounds.west >= bounds.east) {
+        errors.push('Invalid bounds: south must be below north and west left of east');
+    } else if (lat < bounds.south || lat > bounds.north || lng < bounds.west || lng > bounds.east) {
+        errors.push('bounds must contain lat/lng');
+    }
+    return errors;
+}
+
+/**
+ * Validate where a capture is centered
+ * @param {Object} params - { address?, lat?, lng?, radius?, bounds? }
+ * @returns {string[]} Errors (empty if valid)
+ */
+function validateLocation({ address, lat, lng, radius, bounds } = {}) {
+    const errors = [];
+
+    if (!hasCoordinates({ lat, lng })) {
+        if (!address || typeof address !== 'string' || address.trim().length === 0) {
+            errors.push('Address (or lat/lng) is required and must be a non-empty string');
+        }
+        if (radius !== undefined || bounds !== undefined) {
+            errors.push('radius and bounds require lat/lng');
+        }
+        return errors;
+    }
+
+    if (address !== undefined && typeof address !== 'string') {
+        errors.push('Address must be a string');
+    }
+
+    const validLat = isCoordinate(lat, 90);
+    const validLng = isCoordinate(lng, 180);
+    if (!validLat) errors.push('lat must be a number from -90 to 90');
+    if (!validLng) errors.push('lng must be a number from -180 to 180');
+
+    if (radius !== undefined && bounds !== undefined) {
+        errors.push('Use either radius or bounds, not both');
+    } else if (radius !== undefined) {
+        if (typeof radius !== 'number' || !(radius > 0) || radius > MAX_RADIUS_METERS) {
+            errors.push(`radius must be a number of meters from 1 to ${MAX_RADIUS_METERS}`);
+        }
+    } else if (bounds !== undefined && validLat && validLng) {
+        errors.push(...validateBounds(bounds, lat, lng));
+    }
+
+    return errors;
+}
+
+/**
+ * Label identifying the venue: the address, or "lat,lng" without one
+ * @param {Object} params - { address?, lat?, lng? }
+ * @returns {string}
+ */
+function getVenueLabel({ address, lat, lng } = {}) {
+    if (typeof address === 'string' && address.trim().length > 0) {
+        return address.trim();
+    }
+    return hasCoordinates({ lat, lng }) ? `${lat},${lng}` : '';
+}
+
+// Box of radius meters around a point (small-distance approximation)
+function radiusToBounds(lat, lng, radius) {
+    const dLat = radius / METERS_PER_DEGREE_LAT;
+    const dLng = radius / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    return {
+        north: Math.min(lat + dLat, 90),
+        south: Math.max(lat - dLat, -90),
+        east: Math.min(lng + dLng, 180),
+        west: Math.max(lng - dLng, -180)
+    };
+}
+
+/**
+ * Location with defaults applied (validate first)
+ * @param {Object} params - { address?, lat?, lng?, radius?, bounds? }
+ * @returns {Object} { label, center, bounds } where center ({ lat, lng }) is null for
+ *   address search and bounds ({ north, south, east, west }) null to keep the map's zoom
+ */
+function resolveLocation({ address, lat, lng, radius, bounds } = {}) {
+    const label = getVenueLabel({ address, lat, lng });
+    if (!hasCoordinates({ lat, lng })) {
+        return { label, center: null, bounds: null };
+    }
+
+    let framed = null;
+    if (radius !== undefined) {
+        framed = radiusToBounds(lat, lng, radius);
+    } else if (bounds) {
+        // Fixed key order, so equal boxes give equal cache keys
+        framed = { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west };
+    }
+
+    return { label, center: { lat, lng }, bounds: framed };
+}
+
+module.exports = {
+    pickLocation,
+    validateLocation,
+    getVenueLabel,
+    resolveLocation
+};
@@ -0,0 +1,319 @@
+/**
+ * Webhook Delivery Service
+ *
+ * POSTs the outcome of a finished automation job to the caller's callbackUrl
+ * so integrations do not have to poll or keep an SSE stream open.
+ *
+ * Separation of Concerns:
+ * - Every delivery is signed: X-Webhook-Signature is "sha256=" + the hex
+ *   HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" keyed with WEBHOOK_SECRET
+ * - Failed deliveries are retried with exponential backoff; network errors,
+ *   408, 429 and 5xx are retried, other 4xx responses are final
+ * - Every attempt is kept in an in-memory delivery log (newest WEBHOOK_LOG_LIMIT)
+ * - Callbacks never reach internal services: loopback, private, link-local and
+ *   similar addresses are refused when the URL is validated and again on the
+ *   address each attempt's connection resolves to (so a host cannot rebind
+ *   between check and connect), and redirects are not followed. Hosts in
+ *   WEBHOOK_ALLOWED_HOSTS (e.g. "crm.internal,*.example.com") skip the address
+ *   check; when it is set, no other host is accepted
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getVenueLabel } = require('./venueLocation');
+
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const LOG_LIMIT = parseInt(process.env.WEBHOOK_LOG_LIMIT, 10) || 200;
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const deliveries = [];
+
+// ============== SIGNING ==============
+
+/**
+ * @param {string} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ============== DESTINATION CHECKS ==============
+
+function getHostname(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+function isAllowedHost(hostname) {
+    return ALLOWED_HOSTS.some(allowed => (allowed.startsWith('*.')
+        ? hostname.endsWith(allowed.slice(1))
+        : hostname === allowed));
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * @param {string} url - A parseable http(s) URL
+ * @returns {string|null} Why the server must not call it, judged without DNS
+ */
+function getDestinationError(url) {
+    const hostname = getHostname(url);
+    if (ALLOWED_HOSTS.length > 0) {
+        return isAllowedHost(hostname) ? null : `callbackUrl host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+    }
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isBlockedAddress(hostname))) {
+        return 'callbackUrl must not point to a loopback, private or link-local address';
+    }
+    return null;
+}
+
+function createBlockedError(message) {
+    const error = new Error(message);
+    error.code = 'BLOCKED_DESTINATION';
+    return error;
+}
+
+/**
+ * dns.lookup for delivery sockets: refuses internal addresses, so the address
+ * checked is the one connected to (a public name can point anywhere, and can
+ * change after validation)
+ */
+function checkedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = !isAllowedHost(hostname.toLowerCase()) && addresses.find(a => isBlockedAddress(a.address));
+        if (blocked) {
+            return callback(createBlockedError(`${hostname} resolves to internal address ${blocked.address}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * POST without following redirects (one could lead to an internal address)
+ * @returns {Promise<number>} Response status code
+ */
+function post(url, headers, body, signal) {
+    // IP literals never reach the lookup
+    const destinationError = getDestinationError(url);
+    if (destinationError) return Promise.reject(createBlockedError(destinationError));
+
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: checkedLookup,
+            signal
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// ============== VALIDATION ==============
+
+/**
+ * Validate a callbackUrl
+ * @param {string} callbackUrl
+ * @returns {Object} Validation result
+ */
+function validateCallbackUrl(callbackUrl) {
+    const errors = [];
+
+    if (typeof callbackUrl !== 'string' || !/^https?:\/\//i.test(callbackUrl)) {
+        errors.push('callbackUrl must be an http(s) URL');
+    } else {
+        let parsed = true;
+        try {
+            new URL(callbackUrl);
+        } catch (error) {
+            parsed = false;
+            errors.push('callbackUrl must be an http(s) URL');
+        }
+        const destinationError = parsed && getDestinationError(callbackUrl);
+        if (destinationError) errors.push(destinationError);
+    }
+
+    if (!SECRET) {
+        errors.push('callbackUrl is not available: WEBHOOK_SECRET is not configured');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+// ============== DELIVERY ==============
+
+function isRetryable(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+async function attempt(delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    const record = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+    delivery.attempts.push(record);
+
+    const signal = AbortSignal.timeout(TIMEOUT_MS);
+    try {
+        record.statusCode = await post(delivery.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'boingo-playwright-automation-webhooks',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': sign(timestamp, body)
+        }, body, signal);
+        if (record.statusCode < 200 || record.statusCode >= 300) {
+            record.error = `HTTP ${record.statusCode}`;
+        }
+    } catch (error) {
+        record.error = signal.aborted ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+        if (error.code === 'BLOCKED_DESTINATION') record.blocked = true;
+    }
+
+    record.durationMs = Date.now() - started;
+    return record;
+}
+
+async function deliver(delivery, body) {
+    for (let n = 1; n <= MAX_ATTEMPTS; n++) {
+        const record = await attempt(delivery, body);
+
+        if (!record.error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = record.at;
+            console.log(`  [Webhook] ${delivery.event} for job ${delivery.jobId} delivered (attempt ${n})`);
+            return;
+        }
+
+        const retry = n < MAX_ATTEMPTS && !record.blocked && (record.statusCode === null || isRetryable(record.statusCode));
+        if (!retry) break;
+
+        const delay = RETRY_BASE_MS * Math.pow(2, n - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        console.log(`  [Webhook] Delivery to ${delivery.url} failed (${record.error}) - retrying in ${(delay / 1000).toFixed(0)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay).unref());
+        delivery.nextAttemptAt = null;
+    }
+
+    delivery.status = 'failed';
+    console.error(`  [Webhook] ${delivery.event} for job ${delivery.jobId} not delivered after ${delivery.attempts.length} attempt(s)`);
+}
+
+/**
+ * Send an event to a callbackUrl in the background
+ * @param {string} url - callbackUrl
+ * @param {string} event - e.g. 'automation.completed'
+ * @param {Object} payload - JSON body
+ * @param {string} [jobId] - For the delivery log
+ * @returns {Object} The delivery log entry
+ */
+function send(url, event, payload, jobId = null) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        url,
+        event,
+        jobId,
+        status: 'pending',
+        attempts: [],
+        createdAt: new Date().toISOString(),
+        deliveredAt: null,
+        nextAttemptAt: null
+    };
+
+    deliveries.push(delivery);
+    if (deliveries.length > LOG_LIMIT) {
+        deliveries.splice(0, deliveries.length - LOG_LIMIT);
+    }
+
+    deliver(delivery, JSON.stringify({ event, ...payload }));
+    return delivery;
+}
+
+/**
+ * Build a jobManager onFinished handler that reports the job outcome to callbackUrl
+ * @param {string} callbackUrl
+ * @returns {Function} (job) => void
+ */
+function createJobCallback(callbackUrl) {
+    return (job) => {
+        const event = `automation.${job.status}`;
+        const payload = {
+            jobId: job.id,
+            type: job.type,
+            status: job.status,
+            address: getVenueLabel(job.params),
+            finishedAt: job.finishedAt
+        };
+
+        if (job.status === 'completed') {
+            payload.result = job.result;
+        } else if (job.status === 'failed') {
+            payload.error = job.error;
+            payload.failedStep = job.failedStep;
+        }
+
+        send(callbackUrl, event, payload, job.id);
+    };
+}
+
+/**
+ * Delivery log, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.jobId]
+ * @returns {Object[]}
+ */
+function listDeliveries({ jobId } = {}) {
+    return deliveries
+        .filter(d => !jobId || d.jobId === jobId)
+        .slice()
+        .reverse();
+}
+
+/**
+ * @param {string} id - Delivery ID
+ * @returns {Object|null}
+ */
+function getDelivery(id) {
+    return deliveries.find(d => d.id === id) || null;
+}
+
+module.exports = {
+    validateCallbackUrl,
+    createJobCallback,
+    listDeliveries,
+    getDelivery
+};
@@ -0,0 +1,235 @@
+/**
+ * Workflow Runner
+ *
+ * Executes an automation declared as an ordered list of named steps.
+ *
+ * A workflow is { name, steps } where each step is:
+ *   {
+ *     name: 'enterAddress',           // stable identifier (used in logs/timings)
+ *     label: 'Entering address...',   // progress text shown to the user
+ *     weight: 2,                      // share of the progress bar
+ *     timeout: 60000,                 // ms before the step is failed
+ *     retries: 1,                     // extra attempts after a failure
+ *     checkpoint: false,              // true: skipped on resume once it has completed
+ *     run: async (ctx, { signal }) => { ... }  // does the work; ctx is shared by all steps
+ *   }
+ *
+ * Each attempt gets its own signal, aborted when the attempt times out. A
+ * step checks it (signal.throwIfAborted()) before it records results on ctx,
+ * so a late attempt cannot add to them. A timed-out attempt is given
+ * STEP_ABANDON_GRACE_MS to stop before the retry starts; one still running
+ * after that is not retried, so two attempts never drive the same page.
+ *
+ * Retries wait RETRY_BASE_DELAY_MS, then twice that, and so on. Completed
+ * checkpoint steps are recorded in ctx.completedSteps; when a run fails the
+ * error carries error.failedStep so the caller can offer a resume that
+ * replays only the non-checkpoint (setup) steps.
+ *
+ * Separation of Concerns:
+ * - The runner owns the automation slot, progress, timing, timeouts,
+ *   retries and cancellation checks; it knows nothing about Ookla
+ * - A step may lease a browser by setting ctx.lease; the runner releases it
+ *   when the workflow ends (recycling the session on failure). A lease that
+ *   is already on ctx when the run starts belongs to the caller and is left alone
+ */
+
+const automationQueue = require('./automationQueue');
+const { createCancelledError, throwIfCancelled, isCancelled } = require('./cancellation');
+
+const DEFAULT_STEP_TIMEOUT_MS = 120000;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.STEP_RETRY_BASE_DELAY_MS, 10) || 2000;
+const ABANDON_GRACE_MS = parseInt(process.env.STEP_ABANDON_GRACE_MS, 10) || 30000;
+const PROGRESS_START = 5;
+const PROGRESS_END = 95;
+
+// Resolves true once the promise settles (either way), false after ms
+function settlesWithin(promise, ms) {
+    let timer;
+    const expired = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), ms);
+    });
+    const settled = promise.then(() => true, () => true);
+    return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one attempt of a step with its timeout. On timeout the attempt's signal
+ * is aborted and the attempt gets ABANDON_GRACE_MS to stop; the error then has
+ * settled: false if it is still running.
+ */
+async function runAttempt(step, ctx) {
+    const ms = step.timeout || DEFAULT_STEP_TIMEOUT_MS;
+    const controller = new AbortController();
+    const attempt = Promise.resolve().then(() => step.run(ctx, { signal: controller.signal }));
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(true), ms);
+    });
+    try {
+        if (!(await Promise.race([attempt.then(() => false), timedOut]))) return;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const error = new Error(`Step "${step.name}" timed out after ${(ms / 1000).toFixed(0)}s`);
+    error.code = 'STEP_TIMEOUT';
+    controller.abort(error);
+    error.settled = await settlesWithin(attempt, ABANDON_GRACE_MS);
+    throw error;
+}
+
+/**
+ * Wait before a retry; resolves early (and the caller re-checks) if cancelled
+ */
+function backoff(ms, signal) {
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run a single step with its timeout and retry policy
+ * @returns {Promise<Object>} Timing record { name, durationMs, attempts }
+ */
+async function runStep(step, ctx) {
+    const maxAttempts = 1 + (step.retries || 0);
+    const started = Date.now();
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        throwIfCancelled(ctx.signal);
+        try {
+            await runAttempt(step, ctx);
+            return { name: step.name, durationMs: Date.now() - started, attempts: attempt };
+        } catch (error) {
+            if (isCancelled(error, ctx.signal) || attempt === maxAttempts) {
+                throw error;
+            }
+            if (error.settled === false) {
+                console.log(`  ⚠ Step "${step.name}" timed out and is still running - not retrying on the same page`);
+                throw error;
+            }
+            const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+            console.log(`  ⚠ Step "${step.name}" failed (attempt ${attempt}/${maxAttempts}): ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s`);
+            await backoff(delay, ctx.signal);
+        }
+    }
+}
+
+/**
+ * Execute a workflow
+ * @param {Object} workflow - { name, steps }
+ * @param {Object} ctx - Shared state for the steps (address, carriers, screenshots, ...);
+ *   ctx.completedSteps lists checkpoint steps already done by an earlier run
+ * @param {Object} [options]
+ * @param {Function} [options.sendProgress] - (progress, step, data?) => void; data is
+ *   { status: 'queued', position } while waiting for a slot, otherwise { stepName, stepIndex, stepCount }
+ * @param {AbortSignal} [options.signal] - Aborting cancels the run; it then rejects with a CANCELLED error
+ * @param {boolean} [options.slotHeld] - The caller already holds an automation slot (batches)
+ * @returns {Promise<Object>} { ctx, timings, duration }; on failure the error has
+ *   failedStep set to the name of the step that failed
+ */
+async function runWorkflow(workflow, ctx, { sendProgress = () => { }, signal, slotHeld = false } = {}) {
+    const { name, steps } = workflow;
+    const totalWeight = steps.reduce((sum, step) => sum + (step.weight || 1), 0);
+    const timings = [];
+    const startTime = Date.now();
+    let releaseSlot = null;
+    let currentStep = null;
+    const ownsLease = !ctx.lease;
+
+    ctx.signal = signal;
+    ctx.completedSteps = ctx.completedSteps || [];
+
+    console.log('='.repeat(60));
+    console.log(`${name} - Starting (${steps.length} steps)`);
+    console.log('='.repeat(60));
+
+    try {
+        if (!slotHeld) {
+            releaseSlot = await automationQueue.acquireSlot({
+                onQueued: (position) => sendProgress(0, `Queued, position ${position}`, { status: 'queued', position }),
+                signal
+            });
+        }
+
+        let completedWeight = 0;
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            throwIfCancelled(signal);
+
+            if (step.checkpoint && ctx.completedSteps.includes(step.name)) {
+                console.log(`\n[Step ${i + 1}/${steps.length}] ${step.label} - already done, skipping`);
+                completedWeight += step.weight || 1;
+                continue;
+            }
+
+            currentStep = step;
+            const progress = PROGRESS_START + (completedWeight / totalWeight) * (PROGRESS_END - PROGRESS_START);
+            sendProgress(Math.round(progress), step.label, { stepName: step.name, stepIndex: i + 1, stepCount: steps.length });
+            console.log(`\n[Step ${i + 1}/${steps.length}] ${step.label}`);
+
+            const timing = await runStep(step, ctx);
+            timings.push(timing);
+            if (step.checkpoint) ctx.completedSteps.push(step.name);
+            console.log(`  ✓ ${step.name} (${(timing.durationMs / 1000).toFixed(1)}s)`);
+
+            completedWeight += step.weight || 1;
+        }
+        currentStep = null;
+
+        throwIfCancelled(signal);
+        if (ownsLease && ctx.lease) {
+            await ctx.lease.release();
+            ctx.lease = null;
+        }
+
+        const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`${name} - Complete`);
+        console.log('='.repeat(60));
+        console.log(`Duration: ${duration}s`);
+        timings.forEach(t => {
+            console.log(`  ${t.name}: ${(t.durationMs / 1000).toFixed(1)}s${t.attempts > 1 ? ` (${t.attempts} attempts)` : ''}`);
+        });
+        console.log('='.repeat(60));
+
+        return { ctx, timings, duration };
+
+    } catch (error) {
+        if (ownsLease && ctx.lease) {
+            await ctx.lease.release({ failed: true });
+            ctx.lease = null;
+        }
+
+        if (isCancelled(error, signal)) {
+            console.log(`\n${name} - Cancelled`);
+            throw createCancelledError();
+        }
+
+        console.error('\n' + '='.repeat(60));
+        console.error(`${name} - Error`);
+        console.error('='.repeat(60));
+        console.error('Error:', error.message);
+        if (currentStep) console.error('Failed step:', currentStep.name);
+        console.error('='.repeat(60));
+
+        if (currentStep) error.failedStep = currentStep.name;
+        throw error;
+    } finally {
+        if (releaseSlot) releaseSlot();
+    }
+}
+
+module.exports = {
+    runWorkflow
+};
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parseAddressFile } = require('../services/addressImport');
+
+function csv(lines) {
+    return Buffer.from(lines.join('\n'));
+}
+
+test('matches headers by alias in any order and case', async () => {
+    const entries = await parseAddressFile(csv([
+        'Coverage Type,Carrier,Radius (m),Lon,Latitude,Venue Address',
+        'Indoor;Outdoor,AT&T|Verizon,250,-117.2,33.1,1 Main St'
+    ]), 'venues.CSV');
+
+    assert.deepEqual(entries, [{
+        row: 2,
+        address: '1 Main St',
+        carriers: ['AT&T', 'Verizon'],
+        lat: 33.1,
+        lng: -117.2,
+        radius: 250,
+        coverageTypes: ['Indoor', 'Outdoor']
+    }]);
+});
+
+test('numbers rows as in the spreadsheet, skipping blank rows', async () => {
+    const entries = await parseAddressFile(csv([
+        '\uFEFFaddress,carriers',
+        '1 Main St,AT&T',
+        '',
+        ',',
+        '2 Oak Ave,',
+        '"3 Elm St, Suite 4","T-Mobile, Verizon"'
+    ]), 'venues.csv');
+
+    assert.deepEqual(entries, [
+        { row: 2, address: '1 Main St', carriers: ['AT&T'] },
+        { row: 5, address: '2 Oak Ave', carriers: [] },
+        { row: 6, address: '3 Elm St, Suite 4', carriers: ['T-Mobile', 'Verizon'] }
+    ]);
+});
+
+test('leaves blank numbers unset and passes bad ones on for validation', async () => {
+    const [blank, bad] = await parseAddressFile(csv([
+        'lat,lng,radius,coverage',
+        '33.1,-117.2,,',
+        'north,-117.2,100,'
+    ]), 'venues.csv');
+
+    assert.deepEqual(blank, { row: 2, address: '', carriers: [], lat: 33.1, lng: -117.2, coverageTypes: [] });
+    assert.ok(Number.isNaN(bad.lat));
+    assert.equal(bad.radius, 100);
+});
+
+test('reads the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Venues');
+    sheet.addRow(['Site Address', 'Carriers']);
+    sheet.addRow(['1 Main St', 'AT&T, Verizon']);
+    sheet.addRow([]);
+    sheet.addRow(['2 Oak Ave', '']);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    assert.deepEqual(await parseAddressFile(buffer, 'venues.xlsx'), [
+        { row: 2, address: '1 Main St', carriers: ['AT&T', 'Verizon'] },
+        { row: 4, address: '2 Oak Ave', carriers: [] }
+    ]);
+});
+
+test('rejects unsupported, empty and unreadable files', async () => {
+    await assert.rejects(parseAddressFile(csv(['address']), 'venues.xls'), {
+        code: 'INVALID_IMPORT_FILE',
+        message: 'Unsupported file type: .xls. Supported: .csv, .xlsx'
+    });
+    await assert.rejects(parseAddressFile(csv(['address']), 'venues'), {
+        message: 'Unsupported file type: none. Supported: .csv, .xlsx'
+    });
+    await assert.rejects(parseAddressFile(Buffer.alloc(0), 'venues.csv'), {
+        code: 'INVALID_IMPORT_FILE',
+        message: 'File is empty'
+    });
+    await assert.rejects(parseAddressFile(Buffer.from('not a zip'), 'venues.xlsx'), {
+        code: 'INVALID_IMPORT_FILE',
+        message: /^Could not read XLSX file/
+    });
+});
+
+test('requires an address column or both lat and lng', async () => {
+    const missing = { code: 'INVALID_IMPORT_FILE', message: 'Missing "address" (or "lat" and "lng") column in header row' };
+
+    await assert.rejects(parseAddressFile(csv(['name,carriers', 'Stadium,AT&T']), 'venues.csv'), missing);
+    await assert.rejects(parseAddressFile(csv(['lat,radius', '33.1,100']), 'venues.csv'), missing);
+    assert.equal((await parseAddressFile(csv(['lat,long', '33.1,-117.2']), 'venues.csv')).length, 1);
+});
@@ -0,0 +1,130 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const automationQueue = require('../services/automationQueue');
+const browserPool = require('../services/browserPool');
+const { validateBatch, executeBatch } = require('../services/batchAutomation');
+
+let usage;
+let leases;
+
+before(() => {
+    mock.method(console, 'log', () => { });
+    mock.method(console, 'error', () => { });
+});
+
+beforeEach(() => {
+    usage = { slots: 0, slotReleases: 0, resets: 0 };
+    leases = [];
+    automationQueue.acquireSlot = async () => {
+        usage.slots++;
+        return () => { usage.slotReleases++; };
+    };
+    browserPool.acquire = async () => {
+        const lease = { releases: [] };
+        lease.reset = async () => { usage.resets++; };
+        lease.release = async (options = {}) => { lease.releases.push(options); };
+        leases.push(lease);
+        return lease;
+    };
+});
+
+function runItem(item) {
+    if (item.fail) {
+        const error = new Error(item.fail);
+        error.failedStep = 'capture';
+        return Promise.reject(error);
+    }
+    return Promise.resolve({ success: true, count: 1, source: 'ookla' });
+}
+
+const cachedLookup = async item => (item.cached ? { success: true, count: 1, source: 'cache' } : null);
+
+test('validates each item and the batch size', () => {
+    const validateItem = item => ({ isValid: !!item.address, errors: item.address ? [] : ['Address is required'] });
+
+    assert.deepEqual(validateBatch([{ address: 'a' }], validateItem), { isValid: true, errors: [] });
+    assert.deepEqual(validateBatch([], validateItem).errors, ['Items is required and must be a non-empty array']);
+    assert.deepEqual(validateBatch([{ address: 'a' }, null, {}], validateItem).errors,
+        ['Item 2: must be an object', 'Item 3: Address is required']);
+    assert.deepEqual(validateBatch(new Array(51).fill({ address: 'a' }), validateItem).errors,
+        ['Too many items: 51. Maximum per batch: 50']);
+});
+
+test('runs every item on one slot and one browser session, resetting between items', async () => {
+    const items = [{ address: '1 Main St' }, { address: '2 Oak Ave' }, { address: '1 main st ' }];
+    const result = await executeBatch(items, runItem);
+
+    assert.equal(result.success, true);
+    assert.equal(result.succeeded, 3);
+    assert.deepEqual(result.results.map(g => [g.address, g.runs.length]), [['1 Main St', 2], ['2 Oak Ave', 1]]);
+    assert.deepEqual(usage, { slots: 1, slotReleases: 1, resets: 2 });
+    assert.equal(leases.length, 1);
+    assert.deepEqual(leases[0].releases, [{ failed: false }]);
+});
+
+test('answers cached items without a slot or a browser session', async () => {
+    const progress = [];
+    const items = [{ address: 'a', cached: true }, { address: 'b', cached: true }];
+    const result = await executeBatch(items, runItem, (value, step) => progress.push(step), { lookupItem: cachedLookup });
+
+    assert.equal(result.succeeded, 2);
+    assert.deepEqual(result.results.map(g => g.runs[0].source), ['cache', 'cache']);
+    assert.deepEqual(usage, { slots: 0, slotReleases: 0, resets: 0 });
+    assert.equal(leases.length, 0);
+    assert.ok(progress.includes('[1/2] Using cached capture'));
+});
+
+test('takes the slot for the first item that needs Ookla', async () => {
+    const items = [{ address: 'a', cached: true }, { address: 'b' }, { address: 'c', cached: true }];
+    const result = await executeBatch(items, runItem, undefined, { lookupItem: cachedLookup });
+
+    assert.deepEqual(result.results.map(g => g.runs[0].source), ['cache', 'ookla', 'cache']);
+    assert.deepEqual(usage, { slots: 1, slotReleases: 1, resets: 0 });
+    assert.equal(leases.length, 1);
+});
+
+test('records a failed item, recycles its session and moves on', async () => {
+    const items = [{ address: 'a', fail: 'boom' }, { address: 'b' }];
+    const result = await executeBatch(items, runItem);
+
+    assert.equal(result.success, false);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.results[0].runs[0], {
+        itemIndex: 0,
+        carriers: undefined,
+        success: false,
+        error: 'boom',
+        failedStep: 'capture',
+        duration: result.results[0].runs[0].duration
+    });
+    assert.equal(leases.length, 2);
+    assert.deepEqual(leases[0].releases, [{ failed: true }]);
+    assert.deepEqual(leases[1].releases, [{ failed: false }]);
+});
+
+test('stops the batch on a login failure', async () => {
+    browserPool.acquire = async () => {
+        const error = new Error('Login failed');
+        error.code = 'LOGIN_FAILED';
+        throw error;
+    };
+
+    await assert.rejects(executeBatch([{ address: 'a' }, { address: 'b' }], runItem), { code: 'LOGIN_FAILED' });
+    assert.equal(usage.slotReleases, 1);
+});
+
+test('rejects with CANCELLED when aborted between items', async () => {
+    const controller = new AbortController();
+    const ran = [];
+    const cancelling = (item) => {
+        ran.push(item.address);
+        controller.abort();
+        return runItem(item);
+    };
+
+    await assert.rejects(executeBatch([{ address: 'a' }, { address: 'b' }], cancelling, undefined, { signal: controller.signal }),
+        { code: 'CANCELLED' });
+    assert.deepEqual(ran, ['a']);
+    assert.deepEqual(leases[0].releases, [{ failed: true }]);
+    assert.equal(usage.slotReleases, 1);
+});
@@ -0,0 +1,129 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    pickCaptureOptions,
+    validateCaptureOptions,
+    resolveCaptureOptions,
+    isDefaultCapture
+} = require('../services/captureOptions');
+
+function withDate(iso, fn) {
+    mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+    try {
+        return fn();
+    } finally {
+        mock.timers.reset();
+    }
+}
+
+test('accepts no options and every valid option', () => {
+    assert.deepEqual(validateCaptureOptions(), []);
+    assert.deepEqual(validateCaptureOptions({
+        technology: 'both',
+        metrics: ['RSRP', 'SNR'],
+        perCarrier: true,
+        zoom: 'building',
+        baseLayer: 'Satellite',
+        dateRange: 'last90days'
+    }), []);
+    assert.deepEqual(validateCaptureOptions({ technology: '5G NR', zoom: 0 }), []);
+    assert.deepEqual(validateCaptureOptions({ zoom: 22 }), []);
+});
+
+test('rejects unknown technologies and metrics', () => {
+    assert.deepEqual(validateCaptureOptions({ technology: '3G' }),
+        ['Invalid technology: 3G. Valid options: LTE, 5G NR, both']);
+    assert.deepEqual(validateCaptureOptions({ metrics: [] }), ['Metrics must be a non-empty array']);
+    assert.deepEqual(validateCaptureOptions({ metrics: 'RSRP' }), ['Metrics must be a non-empty array']);
+    assert.deepEqual(validateCaptureOptions({ metrics: ['RSRP', 'SINR'] }),
+        ['Invalid metrics: SINR. Valid options: RSRP, RSRQ, SNR, CQI']);
+});
+
+test('rejects metrics the chosen technology does not have', () => {
+    assert.deepEqual(validateCaptureOptions({ technology: 'LTE', metrics: ['CQI'] }), []);
+    assert.deepEqual(validateCaptureOptions({ technology: '5G NR', metrics: ['RSRP', 'CQI'] }),
+        ['Metrics not available for 5G NR: CQI']);
+    assert.deepEqual(validateCaptureOptions({ technology: 'both', metrics: ['CQI'] }),
+        ['Metrics not available for 5G NR: CQI']);
+});
+
+test('rejects invalid perCarrier, zoom and baseLayer values', () => {
+    assert.deepEqual(validateCaptureOptions({ perCarrier: 'yes' }), ['perCarrier must be a boolean']);
+    for (const zoom of [23, -1, 15.5, 'street', '17']) {
+        assert.deepEqual(validateCaptureOptions({ zoom }),
+            [`Invalid zoom: ${zoom}. Use a zoom level from 0 to 22 or one of: campus, block, building`], String(zoom));
+    }
+    assert.deepEqual(validateCaptureOptions({ baseLayer: '  ' }), ['baseLayer must be a non-empty string']);
+    assert.deepEqual(validateCaptureOptions({ baseLayer: 3 }), ['baseLayer must be a non-empty string']);
+});
+
+test('validates date range presets and explicit dates', () => {
+    withDate('2025-06-15T12:00:00Z', () => {
+        assert.deepEqual(validateCaptureOptions({ dateRange: { start: '2025-01-01', end: '2025-06-15' } }), []);
+        assert.deepEqual(validateCaptureOptions({ dateRange: 'lastWeek' }),
+            ['Invalid dateRange: lastWeek. Use { start, end } or one of: last30days, last90days, last6months, last12months']);
+        assert.deepEqual(validateCaptureOptions({ dateRange: ['2025-01-01', '2025-02-01'] }),
+            ['dateRange must be { start, end } or one of: last30days, last90days, last6months, last12months']);
+        assert.deepEqual(validateCaptureOptions({ dateRange: { start: '2025-02-30', end: '2025/03/01' } }),
+            ['Invalid dateRange: start, end must be a date (YYYY-MM-DD)']);
+        assert.deepEqual(validateCaptureOptions({ dateRange: { start: '2025-03-01', end: '2025-02-01' } }),
+            ['Invalid dateRange: start must not be after end']);
+        assert.deepEqual(validateCaptureOptions({ dateRange: { start: '2025-06-01', end: '2025-06-16' } }),
+            ['Invalid dateRange: end must not be in the future']);
+    });
+});
+
+test('applies defaults', () => {
+    assert.deepEqual(resolveCaptureOptions(), {
+        technologies: ['LTE'],
+        metrics: ['RSRP'],
+        perCarrier: false,
+        zoom: null,
+        baseLayer: 'Day',
+        dateRange: null
+    });
+});
+
+test('resolves technologies, duplicate metrics, zoom presets and base layer', () => {
+    assert.deepEqual(resolveCaptureOptions({
+        technology: 'both',
+        metrics: ['SNR', 'RSRP', 'SNR'],
+        perCarrier: true,
+        zoom: 'campus',
+        baseLayer: ' Night '
+    }), {
+        technologies: ['LTE', '5G NR'],
+        metrics: ['SNR', 'RSRP'],
+        perCarrier: true,
+        zoom: 15,
+        baseLayer: 'Night',
+        dateRange: null
+    });
+    assert.equal(resolveCaptureOptions({ zoom: 12 }).zoom, 12);
+});
+
+test('resolves date range presets to dates ending today (UTC)', () => {
+    withDate('2025-06-15T23:30:00Z', () => {
+        assert.deepEqual(resolveCaptureOptions({ dateRange: 'last30days' }).dateRange,
+            { preset: 'last30days', start: '2025-05-16', end: '2025-06-15' });
+        assert.deepEqual(resolveCaptureOptions({ dateRange: 'last6months' }).dateRange,
+            { preset: 'last6months', start: '2024-12-15', end: '2025-06-15' });
+        assert.deepEqual(resolveCaptureOptions({ dateRange: 'last12months' }).dateRange,
+            { preset: 'last12months', start: '2024-06-15', end: '2025-06-15' });
+    });
+    assert.deepEqual(resolveCaptureOptions({ dateRange: { start: '2024-01-01', end: '2024-03-31' } }).dateRange,
+        { preset: null, start: '2024-01-01', end: '2024-03-31' });
+});
+
+test('only LTE RSRP counts as the default capture', () => {
+    assert.equal(isDefaultCapture(resolveCaptureOptions()), true);
+    assert.equal(isDefaultCapture(resolveCaptureOptions({ technology: 'both' })), false);
+    assert.equal(isDefaultCapture(resolveCaptureOptions({ metrics: ['RSRQ'] })), false);
+    assert.equal(isDefaultCapture(resolveCaptureOptions({ metrics: ['RSRP', 'RSRP'] })), true);
+});
+
+test('picks only the capture options that were sent', () => {
+    assert.deepEqual(pickCaptureOptions({ technology: 'LTE', perCarrier: false, address: 'x' }),
+        { technology: 'LTE', perCarrier: false });
+    assert.deepEqual(pickCaptureOptions(), {});
+});
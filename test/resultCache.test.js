@@ -0,0 +1,110 @@
+process.env.RESULT_CACHE_TTL_HOURS = '1';
+process.env.RESULT_CACHE_MAX_ENTRIES = '3';
+
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const artifactStore = require('../services/artifactStore');
+const resultCache = require('../services/resultCache');
+
+// In-memory stand-in for the artifact store: id -> contents
+let artifacts;
+
+before(() => {
+    mock.method(console, 'log', () => { });
+    mock.method(artifactStore, 'hasArtifact', async id => artifacts.has(id));
+    mock.method(artifactStore, 'readArtifact', async id => artifacts.get(id) || null);
+});
+
+beforeEach(() => {
+    artifacts = new Map([['shot-1', Buffer.from('png')], ['xlsx-1', Buffer.from('xlsx')]]);
+});
+
+function settings(overrides = {}) {
+    return { address: '1 Main St, Springfield', carriers: ['AT&T', 'Verizon'], technologies: ['LTE'], zoom: null, ...overrides };
+}
+
+function result() {
+    return {
+        success: true,
+        screenshots: [{ artifactId: 'shot-1', filename: 'map.png', buffer: 'cG5n' }],
+        excelFiles: [{ artifactId: 'xlsx-1', filename: 'rom.xlsx' }]
+    };
+}
+
+test('a stored result is a hit for the same capture settings', async () => {
+    const capturedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const stored = resultCache.store('rom', settings(), result(), capturedAt);
+    assert.deepEqual(stored.cache, {
+        hit: false,
+        capturedAt,
+        expiresAt: new Date(Date.parse(capturedAt) + 60 * 60 * 1000).toISOString()
+    });
+    assert.equal(stored.screenshots[0].buffer, 'cG5n');
+
+    const cached = await resultCache.lookup('rom', settings());
+    assert.deepEqual(cached.cache, { ...stored.cache, hit: true });
+    // Buffers are not kept in the cache
+    assert.deepEqual(cached.screenshots, [{ artifactId: 'shot-1', filename: 'map.png' }]);
+});
+
+test('keys ignore address case and spacing, list order and duplicates', async () => {
+    resultCache.store('rom', settings(), result(), new Date().toISOString());
+
+    const cached = await resultCache.lookup('rom', settings({
+        address: '  1 MAIN st,   springfield ',
+        carriers: ['Verizon', 'AT&T', 'Verizon'],
+        unsetOption: undefined
+    }));
+    assert.ok(cached);
+});
+
+test('keys differ by automation type and capture options', async () => {
+    resultCache.store('rom', settings(), result(), new Date().toISOString());
+
+    assert.equal(await resultCache.lookup('coverage-plot', settings()), null);
+    assert.equal(await resultCache.lookup('rom', settings({ carriers: ['AT&T'] })), null);
+    assert.equal(await resultCache.lookup('rom', settings({ technologies: ['LTE', '5G NR'] })), null);
+    assert.equal(await resultCache.lookup('rom', settings({ zoom: 17 })), null);
+    assert.equal(await resultCache.lookup('rom', settings({ address: '2 Main St, Springfield' })), null);
+});
+
+test('an entry older than the TTL is a miss', async () => {
+    resultCache.store('rom', settings({ address: 'old' }), result(), new Date(Date.now() - 61 * 60 * 1000).toISOString());
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'old' })), null);
+});
+
+test('an entry whose artifacts were purged is a miss and is dropped', async () => {
+    resultCache.store('rom', settings({ address: 'purged' }), result(), new Date().toISOString());
+    artifacts.delete('xlsx-1');
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'purged' })), null);
+
+    artifacts.set('xlsx-1', Buffer.from('xlsx'));
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'purged' })), null);
+});
+
+test('legacyBase64 re-embeds artifacts from the store', async () => {
+    resultCache.store('rom', settings({ address: 'legacy' }), result(), new Date().toISOString());
+
+    const cached = await resultCache.lookup('rom', settings({ address: 'legacy' }), { legacyBase64: true });
+    assert.equal(cached.screenshots[0].buffer, Buffer.from('png').toString('base64'));
+    assert.equal(cached.excelFiles[0].buffer, Buffer.from('xlsx').toString('base64'));
+});
+
+test('an artifact purged between the check and the read is a miss, not an error', async () => {
+    resultCache.store('rom', settings({ address: 'race' }), result(), new Date().toISOString());
+    const read = mock.method(artifactStore, 'readArtifact', async () => null);
+
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'race' }), { legacyBase64: true }), null);
+    read.mock.restore();
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'race' })), null);
+});
+
+test('only the newest RESULT_CACHE_MAX_ENTRIES are kept', async () => {
+    const capturedAt = new Date().toISOString();
+    ['a', 'b', 'c', 'd'].forEach(address => resultCache.store('rom', settings({ address }), result(), capturedAt));
+
+    assert.equal(await resultCache.lookup('rom', settings({ address: 'a' })), null);
+    for (const address of ['b', 'c', 'd']) {
+        assert.ok(await resultCache.lookup('rom', settings({ address })), address);
+    }
+});
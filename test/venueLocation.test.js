@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { pickLocation, validateLocation, getVenueLabel, resolveLocation } = require('../services/venueLocation');
+
+const BOUNDS = { north: 33.2, south: 33.0, east: -117.1, west: -117.3 };
+
+test('requires an address unless lat/lng are given', () => {
+    assert.deepEqual(validateLocation({ address: '1 Main St' }), []);
+    assert.deepEqual(validateLocation({}), ['Address (or lat/lng) is required and must be a non-empty string']);
+    assert.deepEqual(validateLocation({ address: '   ' }), ['Address (or lat/lng) is required and must be a non-empty string']);
+    assert.deepEqual(validateLocation({ address: '1 Main St', radius: 100 }), ['radius and bounds require lat/lng']);
+});
+
+test('checks coordinate ranges', () => {
+    assert.deepEqual(validateLocation({ lat: 33.1, lng: -117.2 }), []);
+    assert.deepEqual(validateLocation({ lat: 91, lng: -117.2 }), ['lat must be a number from -90 to 90']);
+    assert.deepEqual(validateLocation({ lat: 33.1 }), ['lng must be a number from -180 to 180']);
+    assert.deepEqual(validateLocation({ lat: '33.1', lng: -181 }), [
+        'lat must be a number from -90 to 90',
+        'lng must be a number from -180 to 180'
+    ]);
+    assert.deepEqual(validateLocation({ address: 7, lat: 33.1, lng: -117.2 }), ['Address must be a string']);
+});
+
+test('accepts either a radius or bounds around lat/lng', () => {
+    assert.deepEqual(validateLocation({ lat: 33.1, lng: -117.2, radius: 500 }), []);
+    assert.deepEqual(validateLocation({ lat: 33.1, lng: -117.2, bounds: BOUNDS }), []);
+
+    assert.deepEqual(validateLocation({ lat: 33.1, lng: -117.2, radius: 500, bounds: BOUNDS }),
+        ['Use either radius or bounds, not both']);
+    for (const radius of [0, -5, 50001, '500']) {
+        assert.deepEqual(validateLocation({ lat: 33.1, lng: -117.2, radius }),
+            ['radius must be a number of meters from 1 to 50000'], String(radius));
+    }
+});
+
+test('rejects malformed bounds and bounds that miss the venue', () => {
+    const check = bounds => validateLocation({ lat: 33.1, lng: -117.2, bounds });
+
+    assert.deepEqual(check([1, 2, 3, 4]), ['bounds must be an object { north, south, east, west }']);
+    assert.deepEqual(check({ ...BOUNDS, north: 95, east: undefined }),
+        ['Invalid bounds: north, east must be valid latitudes/longitudes']);
+    assert.deepEqual(check({ ...BOUNDS, south: 33.3 }),
+        ['Invalid bounds: south must be below north and west left of east']);
+    assert.deepEqual(check({ ...BOUNDS, north: 33.05 }), ['bounds must contain lat/lng']);
+});
+
+test('labels a venue by address, falling back to coordinates', () => {
+    assert.equal(getVenueLabel({ address: '  1 Main St ', lat: 33.1, lng: -117.2 }), '1 Main St');
+    assert.equal(getVenueLabel({ lat: 33.1, lng: -117.2 }), '33.1,-117.2');
+    assert.equal(getVenueLabel({}), '');
+});
+
+test('picks only the location fields that were sent', () => {
+    assert.deepEqual(pickLocation({ lat: 1, lng: 2, extra: true }), { lat: 1, lng: 2 });
+    assert.deepEqual(pickLocation(), {});
+});
+
+test('resolves a radius to a bounding box around the centre', () => {
+    const { label, center, bounds } = resolveLocation({ lat: 0, lng: 0, radius: 1000 });
+
+    assert.equal(label, '0,0');
+    assert.deepEqual(center, { lat: 0, lng: 0 });
+    assert.ok(Math.abs(bounds.north - 0.009) < 0.0005);
+    assert.equal(bounds.south, -bounds.north);
+    assert.ok(Math.abs(bounds.east - bounds.north) < 0.0001);
+});
+
+test('resolves explicit bounds in a fixed key order and addresses without a frame', () => {
+    const { bounds } = resolveLocation({ lat: 33.1, lng: -117.2, bounds: { west: -117.3, east: -117.1, south: 33.0, north: 33.2 } });
+    assert.deepEqual(Object.keys(bounds), ['north', 'south', 'east', 'west']);
+
+    assert.deepEqual(resolveLocation({ address: '1 Main St' }), { label: '1 Main St', center: null, bounds: null });
+    assert.deepEqual(resolveLocation({ lat: 33.1, lng: -117.2 }).bounds, null);
+});
@@ -0,0 +1,106 @@
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const webhookDelivery = require('../services/webhookDelivery');
+
+let server;
+let hits = 0;
+
+before(async () => {
+    mock.method(console, 'log', () => { });
+    mock.method(console, 'error', () => { });
+    server = http.createServer((req, res) => {
+        hits++;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+    mock.restoreAll();
+    server.close();
+});
+
+async function settled(jobId) {
+    for (let i = 0; i < 200; i++) {
+        const [delivery] = webhookDelivery.listDeliveries({ jobId });
+        if (delivery && delivery.status !== 'pending') return delivery;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery for ${jobId} did not settle`);
+}
+
+function finishedJob(id) {
+    return {
+        id,
+        type: 'rom',
+        status: 'completed',
+        params: { address: '1 Main St' },
+        finishedAt: new Date().toISOString(),
+        result: { ok: true }
+    };
+}
+
+test('rejects callback URLs that point at internal addresses', () => {
+    const urls = [
+        'http://127.0.0.1/hook',
+        'http://localhost:8080/hook',
+        'http://api.localhost/hook',
+        'http://10.1.2.3/hook',
+        'http://192.168.0.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:10.0.0.1]/hook',
+        'http://2130706433/hook'
+    ];
+
+    for (const url of urls) {
+        const { isValid, errors } = webhookDelivery.validateCallbackUrl(url);
+        assert.equal(isValid, false, url);
+        assert.deepEqual(errors, ['callbackUrl must not point to a loopback, private or link-local address'], url);
+    }
+});
+
+test('accepts public http(s) callback URLs and rejects other schemes', () => {
+    assert.deepEqual(webhookDelivery.validateCallbackUrl('https://hooks.example.com/automation'), { isValid: true, errors: [] });
+    assert.deepEqual(webhookDelivery.validateCallbackUrl('http://203.0.113.7:8080/hook'), { isValid: true, errors: [] });
+
+    for (const url of ['ftp://example.com/hook', 'example.com/hook', 'http://', 42]) {
+        assert.deepEqual(webhookDelivery.validateCallbackUrl(url).errors, ['callbackUrl must be an http(s) URL'], String(url));
+    }
+});
+
+test('blocks a delivery whose public name resolves to an internal address at connect time', async () => {
+    const { port } = server.address();
+    const lookup = mock.method(dns, 'lookup', (hostname, options, callback) => {
+        if (options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+        callback(null, '127.0.0.1', 4);
+    });
+    const url = `http://rebind.example.com:${port}/hook`;
+    assert.equal(webhookDelivery.validateCallbackUrl(url).isValid, true);
+
+    webhookDelivery.createJobCallback(url)(finishedJob('rebind-job'));
+    const delivery = await settled('rebind-job');
+    lookup.mock.restore();
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].blocked, true);
+    assert.match(delivery.attempts[0].error, /resolves to internal address 127\.0\.0\.1/);
+    assert.equal(hits, 0);
+});
+
+test('blocks an IP literal delivery without connecting', async () => {
+    const { port } = server.address();
+    webhookDelivery.createJobCallback(`http://127.0.0.1:${port}/hook`)(finishedJob('literal-job'));
+    const delivery = await settled('literal-job');
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts[0].blocked, true);
+    assert.equal(hits, 0);
+});
@@ -0,0 +1,110 @@
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const webhookDelivery = require('../services/webhookDelivery');
+
+let server;
+let baseUrl;
+const received = [];
+// Status codes to answer with, by path; 200 once a path's list runs out
+const replies = {};
+
+before(async () => {
+    mock.method(console, 'log', () => { });
+    mock.method(console, 'error', () => { });
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            const status = (replies[req.url] || []).shift() || 200;
+            if (status === 302) res.setHeader('Location', `${baseUrl}/redirected`);
+            res.statusCode = status;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+    mock.restoreAll();
+    server.close();
+});
+
+async function settled(jobId) {
+    for (let i = 0; i < 200; i++) {
+        const [delivery] = webhookDelivery.listDeliveries({ jobId });
+        if (delivery && delivery.status !== 'pending') return delivery;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Delivery for ${jobId} did not settle`);
+}
+
+function notify(path, job) {
+    webhookDelivery.createJobCallback(`${baseUrl}${path}`)({
+        type: 'coverage-plot',
+        params: { lat: 33.1, lng: -117.2 },
+        finishedAt: new Date().toISOString(),
+        ...job
+    });
+    return settled(job.id);
+}
+
+test('signs the timestamp and raw body with WEBHOOK_SECRET', async () => {
+    const delivery = await notify('/signed', { id: 'signed-job', status: 'failed', error: 'boom', failedStep: 'login' });
+    assert.equal(delivery.status, 'delivered');
+
+    const request = received.find(r => r.path === '/signed');
+    const { headers, body } = request;
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'test-secret')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+
+    assert.equal(headers['x-webhook-signature'], expected);
+    assert.equal(headers['x-webhook-event'], 'automation.failed');
+    assert.equal(headers['x-webhook-id'], delivery.id);
+    assert.deepEqual(JSON.parse(body), {
+        event: 'automation.failed',
+        jobId: 'signed-job',
+        type: 'coverage-plot',
+        status: 'failed',
+        address: '33.1,-117.2',
+        finishedAt: JSON.parse(body).finishedAt,
+        error: 'boom',
+        failedStep: 'login'
+    });
+});
+
+test('retries server errors until delivered', async () => {
+    replies['/flaky'] = [500, 503];
+    const delivery = await notify('/flaky', { id: 'flaky-job', status: 'completed', result: {} });
+
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+});
+
+test('does not follow redirects or retry client errors', async () => {
+    replies['/moved'] = [302];
+    const moved = await notify('/moved', { id: 'moved-job', status: 'completed', result: {} });
+    assert.equal(moved.status, 'failed');
+    assert.deepEqual(moved.attempts.map(a => a.error), ['HTTP 302']);
+    assert.equal(received.some(r => r.path === '/redirected'), false);
+
+    replies['/gone'] = [404];
+    const gone = await notify('/gone', { id: 'gone-job', status: 'completed', result: {} });
+    assert.equal(gone.status, 'failed');
+    assert.equal(gone.attempts.length, 1);
+});
+
+test('WEBHOOK_ALLOWED_HOSTS replaces the address checks', () => {
+    assert.equal(webhookDelivery.validateCallbackUrl('http://localhost:9000/hook').isValid, true);
+    assert.deepEqual(webhookDelivery.validateCallbackUrl('https://hooks.example.com/hook').errors,
+        ['callbackUrl host hooks.example.com is not in WEBHOOK_ALLOWED_HOSTS']);
+});
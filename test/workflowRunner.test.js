@@ -0,0 +1,193 @@
+// Short delays so retry and timeout paths run in milliseconds
+process.env.STEP_RETRY_BASE_DELAY_MS = '10';
+process.env.STEP_ABANDON_GRACE_MS = '50';
+
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const automationQueue = require('../services/automationQueue');
+const { runWorkflow } = require('../services/workflowRunner');
+
+let slots;
+
+// The runner's banners would interleave with the test reporter
+before(() => {
+    mock.method(console, 'log', () => { });
+    mock.method(console, 'error', () => { });
+});
+
+beforeEach(() => {
+    slots = { acquired: 0, released: 0 };
+    automationQueue.acquireSlot = async () => {
+        slots.acquired++;
+        return () => { slots.released++; };
+    };
+});
+
+function step(name, run, extra = {}) {
+    return { name, label: `${name}...`, weight: 1, timeout: 1000, retries: 0, run, ...extra };
+}
+
+function fakeLease() {
+    const lease = { releases: [] };
+    lease.release = async (options = {}) => { lease.releases.push(options); };
+    return lease;
+}
+
+test('runs steps in order on one automation slot and reports progress', async () => {
+    const order = [];
+    const progress = [];
+    const workflow = {
+        name: 'TEST',
+        steps: [step('a', () => order.push('a')), step('b', () => order.push('b'), { weight: 3 })]
+    };
+
+    const { timings } = await runWorkflow(workflow, {}, { sendProgress: (value, label) => progress.push([value, label]) });
+
+    assert.deepEqual(order, ['a', 'b']);
+    assert.deepEqual(timings.map(t => [t.name, t.attempts]), [['a', 1], ['b', 1]]);
+    assert.deepEqual(progress, [[5, 'a...'], [28, 'b...']]);
+    assert.deepEqual(slots, { acquired: 1, released: 1 });
+});
+
+test('does not take a slot when the caller holds one', async () => {
+    await runWorkflow({ name: 'TEST', steps: [step('a', () => { })] }, {}, { slotHeld: true });
+    assert.equal(slots.acquired, 0);
+});
+
+test('retries a failed step with backoff until it succeeds', async () => {
+    const started = [];
+    const flaky = step('flaky', () => {
+        started.push(Date.now());
+        if (started.length < 3) throw new Error('not yet');
+    }, { retries: 2 });
+
+    const { timings } = await runWorkflow({ name: 'TEST', steps: [flaky] }, {});
+
+    assert.equal(timings[0].attempts, 3);
+    // 10ms, then 20ms
+    assert.ok(started[1] - started[0] >= 9);
+    assert.ok(started[2] - started[1] >= 19);
+});
+
+test('fails with failedStep once the retries are used up', async () => {
+    let attempts = 0;
+    const workflow = {
+        name: 'TEST',
+        steps: [step('ok', () => { }), step('broken', () => { attempts++; throw new Error('boom'); }, { retries: 1 })]
+    };
+
+    await assert.rejects(runWorkflow(workflow, {}), (error) => {
+        assert.equal(error.message, 'boom');
+        assert.equal(error.failedStep, 'broken');
+        return true;
+    });
+    assert.equal(attempts, 2);
+    assert.equal(slots.released, 1);
+});
+
+test('retries a timed-out step once it has stopped, ignoring its late result', async () => {
+    const results = [];
+    let attempts = 0;
+    const slow = step('slow', async (ctx, { signal }) => {
+        const attempt = ++attempts;
+        if (attempt === 1) {
+            await new Promise(resolve => setTimeout(resolve, 30));
+        }
+        signal.throwIfAborted();
+        results.push(attempt);
+    }, { timeout: 10, retries: 1 });
+
+    const { timings } = await runWorkflow({ name: 'TEST', steps: [slow] }, {});
+
+    assert.equal(timings[0].attempts, 2);
+    assert.deepEqual(results, [2]);
+});
+
+test('does not retry a timed-out step that is still running (settled === false)', async () => {
+    let attempts = 0;
+    const hung = step('hung', () => {
+        attempts++;
+        return new Promise(() => { });
+    }, { timeout: 10, retries: 2 });
+
+    await assert.rejects(runWorkflow({ name: 'TEST', steps: [hung] }, {}), (error) => {
+        assert.equal(error.code, 'STEP_TIMEOUT');
+        assert.equal(error.settled, false);
+        assert.equal(error.failedStep, 'hung');
+        return true;
+    });
+    assert.equal(attempts, 1);
+});
+
+test('skips completed checkpoint steps on resume and replays setup steps', async () => {
+    const ran = [];
+    const workflow = {
+        name: 'TEST',
+        steps: [
+            step('setup', () => ran.push('setup')),
+            step('captureA', () => ran.push('captureA'), { checkpoint: true }),
+            step('captureB', () => ran.push('captureB'), { checkpoint: true })
+        ]
+    };
+    const ctx = { completedSteps: ['setup', 'captureA'] };
+
+    await runWorkflow(workflow, ctx);
+
+    assert.deepEqual(ran, ['setup', 'captureB']);
+    assert.deepEqual(ctx.completedSteps, ['setup', 'captureA', 'captureB']);
+});
+
+test('records only the checkpoint steps that completed before a failure', async () => {
+    const ctx = {};
+    const workflow = {
+        name: 'TEST',
+        steps: [
+            step('setup', () => { }),
+            step('captureA', () => { }, { checkpoint: true }),
+            step('captureB', () => { throw new Error('boom'); }, { checkpoint: true })
+        ]
+    };
+
+    await assert.rejects(runWorkflow(workflow, ctx));
+    assert.deepEqual(ctx.completedSteps, ['captureA']);
+});
+
+test('releases a lease taken by a step, recycling it on failure', async () => {
+    const lease = fakeLease();
+    await runWorkflow({ name: 'TEST', steps: [step('session', (ctx) => { ctx.lease = lease; })] }, {});
+    assert.deepEqual(lease.releases, [{}]);
+
+    const failed = fakeLease();
+    const workflow = {
+        name: 'TEST',
+        steps: [step('session', (ctx) => { ctx.lease = failed; }), step('broken', () => { throw new Error('boom'); })]
+    };
+    const ctx = {};
+    await assert.rejects(runWorkflow(workflow, ctx));
+    assert.deepEqual(failed.releases, [{ failed: true }]);
+    assert.equal(ctx.lease, null);
+});
+
+test('leaves a lease passed in by the caller alone', async () => {
+    const lease = fakeLease();
+    const ctx = { lease };
+
+    await runWorkflow({ name: 'TEST', steps: [step('a', () => { })] }, ctx, { slotHeld: true });
+    await assert.rejects(runWorkflow({ name: 'TEST', steps: [step('b', () => { throw new Error('boom'); })] }, ctx, { slotHeld: true }));
+
+    assert.deepEqual(lease.releases, []);
+    assert.equal(ctx.lease, lease);
+});
+
+test('stops with a CANCELLED error when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const ran = [];
+    const workflow = {
+        name: 'TEST',
+        steps: [step('a', () => { ran.push('a'); controller.abort(); }), step('b', () => ran.push('b'))]
+    };
+
+    await assert.rejects(runWorkflow(workflow, {}, { signal: controller.signal }), { code: 'CANCELLED' });
+    assert.deepEqual(ran, ['a']);
+    assert.equal(slots.released, 1);
+});